@@ -0,0 +1,53 @@
+// --- 音频处理 (Audio Pipeline) ---
+// 上传的录音先用 ffprobe 识别封装格式与编码，再转码为识别服务需要的 16k 单声道 PCM；
+// 超过识别服务单次时长上限的音频按段切分，逐段识别后拼接
+
+const ffmpeg = require('fluent-ffmpeg');
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2; // 16 位单声道
+
+// 返回 { format, codec, duration }；duration 可能为 null（MediaRecorder 生成的 webm 通常没有时长信息）
+// 文件不是可识别的音频时抛出 Error
+function probeAudio(filePath) {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filePath, (err, data) => {
+            if (err) return reject(new Error('无法识别的音频文件'));
+            const stream = (data.streams || []).find(s => s.codec_type === 'audio');
+            if (!stream) return reject(new Error('文件中没有音频'));
+            const duration = Number(data.format.duration);
+            resolve({
+                format: data.format.format_name,
+                codec: stream.codec_name,
+                duration: Number.isFinite(duration) ? duration : null
+            });
+        });
+    });
+}
+
+// 转码为 PCM，maxSeconds 用于在时长未知时截断，防止超长音频占满磁盘
+function transcodeToPcm(inputPath, outputPath, { maxSeconds } = {}) {
+    return new Promise((resolve, reject) => {
+        const options = ['-f s16le', '-acodec pcm_s16le', '-ac 1', `-ar ${SAMPLE_RATE}`];
+        if (maxSeconds) options.push(`-t ${maxSeconds}`);
+        ffmpeg(inputPath)
+            .outputOptions(options)
+            .on('end', resolve)
+            .on('error', () => reject(new Error('音频转码失败')))
+            .save(outputPath);
+    });
+}
+
+// 按固定时长切分 PCM，切分点对齐到采样（2 字节）
+function splitPcm(pcm, segmentSeconds) {
+    const size = segmentSeconds * BYTES_PER_SECOND;
+    const segments = [];
+    for (let offset = 0; offset < pcm.length; offset += size) {
+        segments.push(pcm.subarray(offset, offset + size));
+    }
+    return segments;
+}
+
+const pcmDuration = (pcm) => pcm.length / BYTES_PER_SECOND;
+
+module.exports = { probeAudio, transcodeToPcm, splitPcm, pcmDuration, SAMPLE_RATE, BYTES_PER_SECOND };
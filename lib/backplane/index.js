@@ -0,0 +1,22 @@
+// --- 房间广播通道 (Pub/Sub Backplane) ---
+// 多个服务实例部署在负载均衡之后时，同一场次的参与者可能连接到不同实例。
+// 所有房间消息先发布到广播通道，再由每个实例（包括发布者自己）投递给本机的连接。
+// 每种通道实现同一个接口：
+//   backplane.name                 —— 通道名称，用于日志
+//   backplane.publish(message)     —— 发布一条可 JSON 序列化的消息（Promise）
+//   backplane.subscribe(handler)   —— 注册处理函数，收到任意实例发布的消息时调用
+//   backplane.close()              —— 停止监听（Promise）
+// 通过环境变量 BACKPLANE 选择：memory（默认，单实例）、mongo（MongoDB change stream，需要副本集）
+
+const backplanes = {
+    memory: () => require('./memory'),
+    mongo: () => require('./mongo')
+};
+
+function createBackplane(name = process.env.BACKPLANE || 'memory', options = {}) {
+    const load = backplanes[name];
+    if (!load) throw new Error(`未知的广播通道: ${name}（可选 ${Object.keys(backplanes).join(' / ')}）`);
+    return load()(options);
+}
+
+module.exports = { createBackplane };
@@ -0,0 +1,15 @@
+// 单实例使用的内存通道：发布即同步投递给本进程的订阅者
+
+module.exports = function createMemoryBackplane() {
+    const handlers = [];
+    return {
+        name: 'memory',
+        async publish(message) {
+            handlers.forEach(handler => handler(message));
+        },
+        subscribe(handler) {
+            handlers.push(handler);
+        },
+        async close() {}
+    };
+};
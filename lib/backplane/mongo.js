@@ -0,0 +1,51 @@
+// MongoDB 通道：各实例把消息写入 backplane_events 集合，并通过 change stream 监听
+// 所有实例写入的消息。change stream 需要副本集（MongoDB Atlas 默认即为副本集）。
+// 消息只在传递时有用，TTL 索引会在一分钟后自动清理。
+//   connection  mongoose 连接，连接建立后才开始监听
+
+const COLLECTION = 'backplane_events';
+const RETRY_MS = 1000;
+
+module.exports = function createMongoBackplane({ connection }) {
+    const handlers = [];
+    let collection = null;
+    let stream = null;
+    let closed = false;
+
+    const ready = new Promise(resolve => {
+        if (connection.readyState === 1) resolve();
+        else connection.once('open', resolve);
+    }).then(() => {
+        collection = connection.db.collection(COLLECTION);
+        collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 60 })
+            .catch(err => console.error('创建广播通道索引失败', err.message));
+        watch();
+    });
+
+    // 监听出错（如网络中断）后重新建立 change stream
+    function watch() {
+        if (closed) return;
+        stream = collection.watch([{ $match: { operationType: 'insert' } }]);
+        stream.on('change', change => handlers.forEach(handler => handler(change.fullDocument.message)));
+        stream.on('error', err => {
+            console.error('广播通道监听失败，稍后重试', err.message);
+            stream.close().catch(() => {});
+            setTimeout(watch, RETRY_MS);
+        });
+    }
+
+    return {
+        name: 'mongo',
+        async publish(message) {
+            await ready;
+            await collection.insertOne({ message, createdAt: new Date() });
+        },
+        subscribe(handler) {
+            handlers.push(handler);
+        },
+        async close() {
+            closed = true;
+            if (stream) await stream.close();
+        }
+    };
+};
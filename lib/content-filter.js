@@ -0,0 +1,53 @@
+// --- 敏感词过滤 (Content Filter) ---
+// 按词表检查文本，每个词条带有处理方式：
+//   mask   —— 用 * 遮盖命中的部分后照常发布
+//   hold   —— 转入审核队列，由主持人决定
+//   reject —— 直接拒绝提交
+// 多个词条同时命中时取最严格的处理方式
+
+const ACTIONS = ['mask', 'hold', 'reject'];
+const SEVERITY = { none: 0, mask: 1, hold: 2, reject: 3 };
+
+// 字符之间允许夹杂空格和标点，防止"傻 逼"、"f.u.c.k"之类的绕过
+const GAP = '[\\s\\p{P}\\p{S}]*';
+const escapeRegExp = (ch) => ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function termPattern(term) {
+    const body = [...term].map(escapeRegExp).join(GAP);
+    // 纯英文/数字词条要求前后不是字母数字，避免 "class" 命中 "ass"
+    return /^[a-z0-9 ]+$/i.test(term) ? `(?<![a-z0-9])${body}(?![a-z0-9])` : body;
+}
+
+class ContentFilter {
+    // rules: [{ term, action }]
+    constructor(rules = []) {
+        this.rules = rules
+            .map(rule => ({ term: String(rule.term || '').trim(), action: rule.action }))
+            .filter(rule => rule.term && ACTIONS.includes(rule.action))
+            .map(rule => ({ ...rule, regex: new RegExp(termPattern(rule.term), 'giu') }));
+    }
+
+    // 返回 { action, matches, text }：action 为 none 时 text 与原文相同
+    check(text) {
+        let action = 'none';
+        let result = text;
+        const matches = [];
+        for (const rule of this.rules) {
+            rule.regex.lastIndex = 0;
+            if (!rule.regex.test(text)) continue;
+            matches.push(rule.term);
+            if (SEVERITY[rule.action] > SEVERITY[action]) action = rule.action;
+            if (rule.action === 'mask') {
+                result = result.replace(rule.regex, hit => '*'.repeat([...hit].length));
+            }
+        }
+        return { action, matches, text: result };
+    }
+}
+
+// 合并多次检查的结果，返回其中最严格的处理方式
+function mostSevere(actions) {
+    return actions.reduce((worst, action) => SEVERITY[action] > SEVERITY[worst] ? action : worst, 'none');
+}
+
+module.exports = { ContentFilter, mostSevere, FILTER_ACTIONS: ACTIONS };
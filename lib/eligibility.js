@@ -0,0 +1,139 @@
+// --- 抽奖资格 (Lottery Eligibility) ---
+// 按可配置的规则从问题中生成奖池，并给出每个未入选问题的原因。
+// 资格预览和正式抽奖共用这里的结果，预览看到的奖池就是实际抽奖的奖池。
+// 按参与度加权时每人一张奖券，奖券权重 = 不重复的问题数 + 问题获赞数 + 参与投票数，不超过上限。
+
+const { isSimilar, SIMILARITY_THRESHOLD } = require('./similarity');
+
+const TICKET_MODES = ['question', 'participant'];
+const WEIGHTINGS = ['none', 'engagement'];
+const MAX_WEIGHT_LIMIT = 100;
+
+const DEFAULT_RULES = {
+    ticketMode: 'question', // question：每条不重复的问题一张奖券；participant：每人一张
+    similarityThreshold: SIMILARITY_THRESHOLD, // 同一人的问题差异不超过该值视为重复
+    minLength: 0, // 问题最短字数
+    excludePreviousWinners: false, // 排除本场已中过奖的参与者
+    since: null, // 时间范围（ISO 时间），为空表示不限
+    until: null,
+    excludedNames: [], // 按昵称排除，如主持人、工作人员
+    weighting: 'none', // none：每张奖券机会均等；engagement：每人一张奖券，按参与度加权
+    maxWeight: 5 // 加权时每人的权重上限
+};
+
+// 校验并补全规则，未提供的项使用默认值；不合法时返回 { error }
+function parseRules(input) {
+    if (input === undefined || input === null) return { rules: { ...DEFAULT_RULES } };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: '抽奖规则格式无效' };
+    const rules = { ...DEFAULT_RULES };
+
+    if (input.ticketMode !== undefined) {
+        if (!TICKET_MODES.includes(input.ticketMode)) return { error: '无效的奖券规则' };
+        rules.ticketMode = input.ticketMode;
+    }
+    if (input.similarityThreshold !== undefined) {
+        const threshold = Number(input.similarityThreshold);
+        if (!(threshold >= 0 && threshold <= 1)) return { error: '相似度阈值应在 0 到 1 之间' };
+        rules.similarityThreshold = threshold;
+    }
+    if (input.minLength !== undefined) {
+        const minLength = Number(input.minLength);
+        if (!Number.isInteger(minLength) || minLength < 0) return { error: '最短字数应为非负整数' };
+        rules.minLength = minLength;
+    }
+    if (input.excludePreviousWinners !== undefined) rules.excludePreviousWinners = Boolean(input.excludePreviousWinners);
+    for (const key of ['since', 'until']) {
+        if (!input[key]) continue;
+        const time = new Date(input[key]);
+        if (isNaN(time)) return { error: '时间格式无效' };
+        rules[key] = time.toISOString();
+    }
+    if (input.excludedNames !== undefined) {
+        if (!Array.isArray(input.excludedNames)) return { error: '排除名单格式无效' };
+        rules.excludedNames = [...new Set(input.excludedNames.map(name => String(name).trim()).filter(Boolean))];
+    }
+    if (input.weighting !== undefined) {
+        if (!WEIGHTINGS.includes(input.weighting)) return { error: '无效的加权方式' };
+        rules.weighting = input.weighting;
+    }
+    if (input.maxWeight !== undefined) {
+        const maxWeight = Number(input.maxWeight);
+        if (!Number.isInteger(maxWeight) || maxWeight < 1 || maxWeight > MAX_WEIGHT_LIMIT) {
+            return { error: `权重上限应为 1 到 ${MAX_WEIGHT_LIMIT} 之间的整数` };
+        }
+        rules.maxWeight = maxWeight;
+    }
+    return { rules };
+}
+
+// 按匿名参与者分组，旧数据没有 participantKey 时退回按昵称
+const participantOf = (question) => question.participantKey || question.name;
+
+// questions: 候选问题，按提交时间排序；winners: 本场已中奖的问题，用于排除中过奖的人；
+// tierWinners: 已获得同级或更高等级奖品的中奖者，抽取奖品时总是排除；
+// pollVotes: 参与者 -> 本场参与过的投票数，加权时使用
+// 返回按问题 ID 排序的奖券、每位入选参与者的奖券数（加权时还有权重及其构成），以及未入选的问题和原因
+function evaluateEligibility(questions, rules, { winners = [], tierWinners = [], pollVotes = new Map() } = {}) {
+    const weighted = rules.weighting === 'engagement';
+    const wonBy = new Set(rules.excludePreviousWinners ? winners.map(participantOf) : []);
+    const wonTier = new Set(tierWinners.map(participantOf));
+    const since = rules.since ? new Date(rules.since) : null;
+    const until = rules.until ? new Date(rules.until) : null;
+    const kept = new Map(); // 参与者 -> 入选的问题
+    const distinct = new Map(); // 参与者 -> 去重后的问题，加权时计入参与度
+    const excluded = [];
+    const exclude = (question, reason) => excluded.push({
+        questionId: question._id,
+        name: question.name,
+        text: question.text,
+        reason
+    });
+
+    questions.forEach(question => {
+        const text = (question.text || '').trim();
+        const key = participantOf(question);
+        if ((since && question.createdAt < since) || (until && question.createdAt > until)) return exclude(question, '不在时间范围内');
+        if (rules.excludedNames.includes((question.name || '').trim())) return exclude(question, '昵称在排除名单中');
+        if (wonTier.has(key)) return exclude(question, '已获得同级或更高奖品');
+        if (wonBy.has(key)) return exclude(question, '本场已中过奖');
+        if (!text) return exclude(question, '问题为空');
+        if (text.length < rules.minLength) return exclude(question, `不足 ${rules.minLength} 个字`);
+
+        const asked = distinct.get(key) || [];
+        if (asked.some(ext => isSimilar(ext.text, question.text, rules.similarityThreshold))) return exclude(question, '与本人的其他问题相似');
+        asked.push(question);
+        distinct.set(key, asked);
+        const own = kept.get(key) || [];
+        if ((rules.ticketMode === 'participant' || weighted) && own.length > 0) return exclude(question, '每人只有一张奖券');
+        own.push(question);
+        kept.set(key, own);
+    });
+
+    const engagementOf = (key) => {
+        const asked = distinct.get(key);
+        const engagement = {
+            questions: asked.length,
+            votes: asked.reduce((sum, question) => sum + (question.votes || 0), 0),
+            polls: pollVotes.get(key) || 0
+        };
+        const weight = Math.min(engagement.questions + engagement.votes + engagement.polls, rules.maxWeight);
+        return { weight, engagement };
+    };
+
+    const tickets = [...kept.values()].flat().map(question => ({
+        questionId: question._id,
+        participantKey: question.participantKey,
+        name: question.name,
+        text: question.text,
+        ...(weighted ? { weight: engagementOf(participantOf(question)).weight } : {})
+    })).sort((a, b) => (String(a.questionId) < String(b.questionId) ? -1 : 1)); // 复算时无需知道提交顺序
+    const participants = [...kept.entries()].map(([key, own]) => ({
+        key,
+        name: own[0].name,
+        tickets: own.length,
+        ...(weighted ? engagementOf(key) : {})
+    }));
+    return { tickets, participants, excluded };
+}
+
+module.exports = { DEFAULT_RULES, TICKET_MODES, WEIGHTINGS, parseRules, evaluateEligibility, participantOf };
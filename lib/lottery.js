@@ -0,0 +1,66 @@
+// --- 服务端抽奖 (Lottery Draws) ---
+// 奖池由 lib/eligibility 按抽奖规则生成，中奖者由加密安全的随机种子决定。
+// 同一份奖池和种子总能复算出同一个中奖者，抽奖记录中保存两者以便事后核对。
+// 公开校验模式下先公布 sha256("种子:奖池摘要") 作为承诺，揭晓时再公开种子，
+// 任何人都可以核对种子与承诺一致，并用奖池和种子复算中奖者（见 public/verify.html）。
+
+const crypto = require('crypto');
+const { participantOf } = require('./eligibility');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// 奖池摘要：排序后的问题 ID 逐行拼接再取 sha256，奖池增减任何一张奖券都会改变摘要；
+// 加权奖券写作 "问题ID*权重"，权重同样受承诺约束
+const ticketLine = (entry) => (entry.weight ? `${entry.questionId}*${entry.weight}` : String(entry.questionId));
+const poolDigest = (pool) => sha256(pool.map(ticketLine).sort().join('\n'));
+
+const commitmentOf = (seed, digest) => sha256(`${seed}:${digest}`);
+
+const createSeed = () => crypto.randomBytes(32).toString('hex');
+
+// 由种子确定中奖位置：依次计算 sha256("seed:counter") 取前 6 字节作为整数，
+// 超出 size 整数倍范围的值换下一个 counter 重试，避免取模带来的偏差
+function drawIndex(seed, size) {
+    const range = 2 ** 48;
+    const limit = range - (range % size);
+    for (let counter = 0; ; counter++) {
+        const value = crypto.createHash('sha256').update(`${seed}:${counter}`).digest().readUIntBE(0, 6);
+        if (value < limit) return value % size;
+    }
+}
+
+// 从奖券中抽出一张，返回其位置。加权奖券先在 [0, 总权重) 中取一个位置，再按权重累加找到对应奖券
+function pickTicket(seed, tickets) {
+    if (!tickets.some(ticket => ticket.weight)) return drawIndex(seed, tickets.length);
+    const total = tickets.reduce((sum, ticket) => sum + ticket.weight, 0);
+    let position = drawIndex(seed, total);
+    return tickets.findIndex(ticket => (position -= ticket.weight) < 0);
+}
+
+// 一次抽出多名中奖者：第 1 轮直接用种子（与单人抽奖结果相同），第 n 轮用 "种子/n"。
+// 每轮中奖后从奖池移除该参与者的全部奖券，同一人在一次抽奖中只中一次；
+// 返回中奖奖券及其在当轮剩余奖池中的位置
+function drawWinners(seed, pool, count) {
+    const remaining = [...pool];
+    const winners = [];
+    for (let round = 0; round < count && remaining.length > 0; round++) {
+        const index = pickTicket(round === 0 ? seed : `${seed}/${round}`, remaining);
+        const ticket = remaining[index];
+        winners.push({ ...ticket, winnerIndex: index });
+        const owner = participantOf(ticket);
+        for (let i = remaining.length - 1; i >= 0; i--) {
+            if (participantOf(remaining[i]) === owner) remaining.splice(i, 1);
+        }
+    }
+    return winners;
+}
+
+// 抽奖页按浏览器本地日期（ja-JP 格式 YYYY/M/D）选择问题，timezoneOffset 为浏览器 getTimezoneOffset() 的值
+function dayRange(date, timezoneOffset = 0) {
+    const match = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/.exec(date || '');
+    if (!match) return null;
+    const start = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) + timezoneOffset * 60 * 1000;
+    return { start: new Date(start), end: new Date(start + 24 * 60 * 60 * 1000) };
+}
+
+module.exports = { createSeed, drawIndex, drawWinners, dayRange, poolDigest, commitmentOf };
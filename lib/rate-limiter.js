@@ -0,0 +1,35 @@
+// --- 滑动窗口限流 (Sliding Window Rate Limiter) ---
+// 内存实现，按 key（IP、参与者标识等）记录窗口内的请求时间
+
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map();
+        // 定期清理过期的 key，避免长时间运行后内存增长
+        this.sweeper = setInterval(() => this.sweep(), windowMs);
+        this.sweeper.unref();
+    }
+
+    // 检查 key 是否还能继续请求；允许时记录本次请求
+    // 返回 { allowed, retryAfterMs }
+    hit(key, now = Date.now()) {
+        if (!key || this.limit <= 0) return { allowed: true, retryAfterMs: 0 };
+        const recent = (this.hits.get(key) || []).filter(t => now - t < this.windowMs);
+        if (recent.length >= this.limit) {
+            this.hits.set(key, recent);
+            return { allowed: false, retryAfterMs: this.windowMs - (now - recent[0]) };
+        }
+        recent.push(now);
+        this.hits.set(key, recent);
+        return { allowed: true, retryAfterMs: 0 };
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, times] of this.hits) {
+            if (!times.length || now - times[times.length - 1] >= this.windowMs) this.hits.delete(key);
+        }
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,54 @@
+// --- 跨实例在线人数 (Cross-instance Room Counts) ---
+// 每个实例通过广播通道定期发布自己每个房间按角色划分的连接数，这里汇总各实例的最新数值。
+// 实例宕机后不再发布，超过 staleMs 未更新的数值不再计入。
+
+class RoomCounts {
+    constructor({ staleMs }) {
+        this.staleMs = staleMs;
+        this.rooms = new Map(); // room -> Map(instanceId -> { counts, at })
+        this.reported = new Map(); // room -> 上次返回变化时的汇总结果（JSON）
+    }
+
+    // 记录某实例在某房间的各角色连接数（{ role: count }），返回汇总结果是否与上次返回时不同
+    set(instanceId, room, counts, now = Date.now()) {
+        let instances = this.rooms.get(room);
+        if (!instances) {
+            instances = new Map();
+            this.rooms.set(room, instances);
+        }
+        if (Object.values(counts).some(count => count > 0)) instances.set(instanceId, { counts, at: now });
+        else instances.delete(instanceId);
+        this.prune(room, now);
+
+        const total = JSON.stringify(this.total(room, now));
+        const changed = total !== (this.reported.get(room) || '{}');
+        if (this.rooms.has(room)) this.reported.set(room, total);
+        else this.reported.delete(room);
+        return changed;
+    }
+
+    // 各角色在所有实例上的人数之和
+    total(room, now = Date.now()) {
+        const total = {};
+        const instances = this.rooms.get(room);
+        if (!instances) return total;
+        instances.forEach(entry => {
+            if (now - entry.at >= this.staleMs) return;
+            Object.entries(entry.counts).forEach(([role, count]) => {
+                total[role] = (total[role] || 0) + count;
+            });
+        });
+        return total;
+    }
+
+    prune(room, now = Date.now()) {
+        const instances = this.rooms.get(room);
+        if (!instances) return;
+        instances.forEach((entry, instanceId) => {
+            if (now - entry.at >= this.staleMs) instances.delete(instanceId);
+        });
+        if (instances.size === 0) this.rooms.delete(room);
+    }
+}
+
+module.exports = RoomCounts;
@@ -0,0 +1,74 @@
+// --- 房间消息序号与补发 (Room Message Log) ---
+// 每个房间的广播消息按顺序编号，并在内存中保留最近的一段。客户端断线重连时带上
+// 最后收到的序号，服务端据此补发错过的消息；如果序号来自另一份记录（epoch 不同，
+// 例如服务重启过或房间记录已被删除），或者错过的消息已超出保留范围，则无法补发，
+// 由客户端重新拉取完整数据。
+// 本实例上房间的最后一个连接离开后，记录再保留 idleMs 供断线重连，之后删除。
+
+const crypto = require('crypto');
+
+class RoomLog {
+    // capacity: 每个房间保留的最近消息条数
+    // idleMs: 房间没有连接后记录的保留时长
+    constructor({ capacity = 500, idleMs = 5 * 60 * 1000 } = {}) {
+        this.capacity = capacity;
+        this.idleMs = idleMs;
+        this.rooms = new Map();
+        this.expiries = new Map(); // room -> 删除记录的定时器
+    }
+
+    // 每份记录有自己的 epoch，删除后重新建立的记录从 1 开始编号也不会与旧序号混淆
+    logOf(room) {
+        let log = this.rooms.get(room);
+        if (!log) {
+            log = { epoch: crypto.randomBytes(6).toString('hex'), seq: 0, events: [] };
+            this.rooms.set(room, log);
+        }
+        return log;
+    }
+
+    // 为消息分配序号并记录，返回带序号的消息
+    append(room, message) {
+        const log = this.logOf(room);
+        const event = { ...message, seq: ++log.seq };
+        log.events.push(event);
+        if (log.events.length > this.capacity) log.events.shift();
+        return event;
+    }
+
+    epochOf(room) {
+        return this.logOf(room).epoch;
+    }
+
+    current(room) {
+        return this.logOf(room).seq;
+    }
+
+    // 返回 position.seq 之后的全部消息；无法保证完整时返回 null
+    since(room, position) {
+        const log = this.rooms.get(room);
+        if (!log || !position || position.epoch !== log.epoch || !Number.isInteger(position.seq)) return null;
+        if (position.seq > log.seq) return null;
+        const oldest = log.events.length > 0 ? log.events[0].seq : log.seq + 1;
+        if (position.seq < oldest - 1) return null;
+        return log.events.filter(event => event.seq > position.seq);
+    }
+
+    // 房间在本实例上没有连接了：idleMs 后删除记录，期间有连接加入则由 active 取消
+    idle(room) {
+        if (this.expiries.has(room) || !this.rooms.has(room)) return;
+        const timer = setTimeout(() => {
+            this.expiries.delete(room);
+            this.rooms.delete(room);
+        }, this.idleMs);
+        timer.unref();
+        this.expiries.set(room, timer);
+    }
+
+    active(room) {
+        clearTimeout(this.expiries.get(room));
+        this.expiries.delete(room);
+    }
+}
+
+module.exports = RoomLog;
@@ -0,0 +1,80 @@
+// --- 接口输出格式 (Serializers) ---
+// 场次、问题、中奖记录对外输出时按字段白名单挑选，而不是直接返回数据库文档，
+// 以免新增的内部字段被顺带公开。公开格式用于无需登录的接口和房间广播；
+// 后台格式用于管理员与主持人接口，IP 地址只出现在后台格式中。
+
+const pick = (doc, fields) => {
+    const out = {};
+    fields.forEach(field => {
+        if (doc[field] !== undefined && doc[field] !== null) out[field] = doc[field];
+    });
+    return out;
+};
+
+const PUBLIC_SESSION_FIELDS = ['_id', 'name', 'code', 'moderated', 'status', 'opensAt', 'closesAt', 'createdAt'];
+const PUBLIC_QUESTION_FIELDS = [
+    '_id', 'text', 'name', 'sessionId', 'participantKey', 'status', 'wonAt',
+    'pinned', 'answerStatus', 'answeredAt', 'votes', 'createdAt'
+];
+const PUBLIC_REPLY_FIELDS = ['_id', 'role', 'name', 'text', 'participantKey', 'createdAt'];
+const PUBLIC_LOTTERY_RECORD_FIELDS = [
+    '_id', 'sessionName', 'sessionCode', 'date', 'questionId', 'questionText', 'userName',
+    'count', 'poolSize', 'poolDigest', 'rules', 'seed', 'winnerIndex', 'mode', 'status', 'commitment', 'revealedAt', 'createdAt'
+];
+const POOL_ENTRY_FIELDS = ['questionId', 'participantKey', 'name', 'text', 'weight'];
+const PRIZE_SNAPSHOT_FIELDS = ['prizeId', 'name', 'tier', 'image'];
+const PUBLIC_PRIZE_FIELDS = ['_id', 'sessionId', 'name', 'tier', 'quantity', 'awarded', 'image', 'createdAt'];
+
+const publicSession = (session) => pick(session, PUBLIC_SESSION_FIELDS);
+
+// 后台额外包含参与人次和主持人令牌（查询时需 select('+presenterToken') 才会有值）
+const adminSession = (session) => ({
+    ...publicSession(session),
+    ...pick(session, ['totalConnections', 'presenterToken'])
+});
+
+const publicReply = (reply) => pick(reply, PUBLIC_REPLY_FIELDS);
+
+const publicQuestion = (question) => ({
+    ...pick(question, PUBLIC_QUESTION_FIELDS),
+    replies: (question.replies || []).map(publicReply)
+});
+
+const adminQuestion = (question) => ({
+    ...publicQuestion(question),
+    ...pick(question, ['ipAddress'])
+});
+
+// 公开校验模式下，种子在揭晓前保密
+const publicLotteryRecord = (record) => {
+    const view = pick(record, PUBLIC_LOTTERY_RECORD_FIELDS);
+    if (record.status === 'committed') delete view.seed;
+    if (record.prize) view.prize = pick(record.prize, PRIZE_SNAPSHOT_FIELDS);
+    if (record.winners && record.winners.length > 0) {
+        view.winners = record.winners.map(winner => pick(winner, [...POOL_ENTRY_FIELDS, 'winnerIndex']));
+    }
+    return view;
+};
+
+// 附带奖池快照（查询时需 select('+pool')），用于校验页复算
+const publicLotteryRecordDetail = (record) => ({
+    ...publicLotteryRecord(record),
+    pool: (record.pool || []).map(entry => pick(entry, POOL_ENTRY_FIELDS))
+});
+
+// 附带剩余库存
+const publicPrize = (prize) => ({
+    ...pick(prize, PUBLIC_PRIZE_FIELDS),
+    remaining: Math.max(prize.quantity - prize.awarded, 0)
+});
+
+module.exports = {
+    publicSession,
+    adminSession,
+    publicQuestion,
+    adminQuestion,
+    publicReply,
+    publicLotteryRecord,
+    publicLotteryRecordDetail,
+    publicPrize
+};
@@ -0,0 +1,26 @@
+// --- 文本相似度 (Text Similarity) ---
+// 提问查重与抽奖资格（lib/eligibility.js）共用：
+// 返回归一化的编辑距离，0 表示完全相同，1 表示完全不同
+
+function calculateDifference(s1, s2) {
+    const len1 = s1.length, len2 = s2.length;
+    const matrix = Array.from({ length: len1 + 1 }, () => []);
+    for (let i = 0; i <= len1; i++) matrix[i][0] = i;
+    for (let j = 0; j <= len2; j++) matrix[0][j] = j;
+    for (let i = 1; i <= len1; i++) {
+        for (let j = 1; j <= len2; j++) {
+            const cost = s1[i-1] === s2[j-1] ? 0 : 1;
+            matrix[i][j] = Math.min(matrix[i-1][j]+1, matrix[i][j-1]+1, matrix[i-1][j-1]+cost);
+        }
+    }
+    return Math.max(len1, len2) === 0 ? 0 : matrix[len1][len2] / Math.max(len1, len2);
+}
+
+// 抽奖去重沿用的阈值：差异不超过 25% 视为同一问题
+const SIMILARITY_THRESHOLD = 0.25;
+
+function isSimilar(s1, s2, threshold = SIMILARITY_THRESHOLD) {
+    return calculateDifference(s1, s2) <= threshold;
+}
+
+module.exports = { calculateDifference, isSimilar, SIMILARITY_THRESHOLD };
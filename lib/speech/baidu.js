@@ -0,0 +1,32 @@
+// 百度短语音识别，需要配置 BAIDU_APP_ID、BAIDU_API_KEY、BAIDU_SECRET_KEY
+
+module.exports = function createBaiduProvider(env) {
+    const { BAIDU_APP_ID, BAIDU_API_KEY, BAIDU_SECRET_KEY } = env;
+    if (!BAIDU_APP_ID || !BAIDU_API_KEY || !BAIDU_SECRET_KEY) {
+        console.warn('百度语音未配置 BAIDU_APP_ID / BAIDU_API_KEY / BAIDU_SECRET_KEY，语音输入将不可用');
+    }
+    // 延迟加载 SDK，使用其他识别服务时无需初始化百度客户端
+    let client;
+    const getClient = () => {
+        if (!client) {
+            const AipSpeechClient = require('baidu-aip-sdk').speech;
+            client = new AipSpeechClient(BAIDU_APP_ID, BAIDU_API_KEY, BAIDU_SECRET_KEY);
+        }
+        return client;
+    };
+
+    return {
+        name: 'baidu',
+        async recognize(pcm, { rate = 16000 } = {}) {
+            if (!BAIDU_APP_ID || !BAIDU_API_KEY || !BAIDU_SECRET_KEY) throw new Error('百度语音服务未配置');
+            let result;
+            try {
+                result = await getClient().recognize(pcm, 'pcm', rate);
+            } catch (e) {
+                throw new Error('百度API请求错误');
+            }
+            if (result.err_no !== 0) throw new Error(`识别失败: ${result.err_msg}`);
+            return result.result[0];
+        }
+    };
+};
@@ -0,0 +1,21 @@
+// --- 语音识别适配层 (Speech-to-Text Providers) ---
+// 每个识别服务实现同一个接口：
+//   provider.name                       —— 服务名称，用于日志
+//   provider.recognize(pcm, { rate })   —— 输入 16 位单声道 PCM，返回识别出的文本（Promise<string>）
+// 识别失败时抛出 Error，message 会直接展示给用户
+// 通过环境变量 SPEECH_PROVIDER 选择：baidu（默认）、local、mock
+// 需要落盘的服务通过 janitor（TempJanitor）分配临时文件，与上传文件一起清理
+
+const providers = {
+    baidu: () => require('./baidu'),
+    local: () => require('./local'),
+    mock: () => require('./mock')
+};
+
+function createSpeechProvider({ name = process.env.SPEECH_PROVIDER || 'baidu', env = process.env, janitor } = {}) {
+    const load = providers[name];
+    if (!load) throw new Error(`未知的语音识别服务: ${name}（可选 ${Object.keys(providers).join(' / ')}）`);
+    return load()(env, { janitor });
+}
+
+module.exports = { createSpeechProvider };
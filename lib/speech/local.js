@@ -0,0 +1,68 @@
+// 本地离线识别：调用 whisper.cpp、Vosk 等命令行程序，适用于无法访问外网的内网部署
+//   SPEECH_LOCAL_COMMAND     可执行文件路径，例如 /opt/whisper.cpp/main
+//   SPEECH_LOCAL_ARGS        参数（空格分隔），其中的 {file} 会被替换为临时 WAV 文件路径；
+//                            不含 {file} 时改为通过标准输入传入原始 PCM
+//   SPEECH_LOCAL_TIMEOUT_MS  单次识别超时，默认 60 秒
+// 程序的标准输出即为识别结果；临时 WAV 文件由语音临时目录的 janitor 分配和清理
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const TempJanitor = require('../temp-janitor');
+
+// 为 PCM 数据加上 44 字节的 WAV 文件头
+function pcmToWav(pcm, rate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // fmt 块大小
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // 单声道
+    header.writeUInt32LE(rate, 24);
+    header.writeUInt32LE(rate * 2, 28); // 每秒字节数
+    header.writeUInt16LE(2, 32); // 每帧字节数
+    header.writeUInt16LE(16, 34); // 采样位数
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+function run(command, args, { input, timeout }) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, args, { timeout, maxBuffer: 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) return reject(new Error(err.killed ? '本地识别超时' : `本地识别失败: ${stderr.trim() || err.message}`));
+            resolve(stdout);
+        });
+        if (input) child.stdin.end(input);
+    });
+}
+
+module.exports = function createLocalProvider(env, { janitor = new TempJanitor({ dir: path.join(os.tmpdir(), 'slido-voice') }) } = {}) {
+    const command = env.SPEECH_LOCAL_COMMAND;
+    const argTemplate = (env.SPEECH_LOCAL_ARGS || '{file}').split(/\s+/).filter(Boolean);
+    const timeout = Number(env.SPEECH_LOCAL_TIMEOUT_MS) || 60 * 1000;
+    if (!command) console.warn('未配置 SPEECH_LOCAL_COMMAND，本地语音识别将不可用');
+
+    return {
+        name: 'local',
+        async recognize(pcm, { rate = 16000 } = {}) {
+            if (!command) throw new Error('本地语音识别未配置');
+            if (!argTemplate.some(arg => arg.includes('{file}'))) {
+                return (await run(command, argTemplate, { input: pcm, timeout })).trim();
+            }
+            const wavPath = janitor.allocate('.wav');
+            try {
+                await fs.writeFile(wavPath, pcmToWav(pcm, rate));
+                const args = argTemplate.map(arg => arg.replace('{file}', wavPath));
+                return (await run(command, args, { timeout })).trim();
+            } finally {
+                await janitor.release(wavPath);
+            }
+        }
+    };
+};
+
+module.exports.pcmToWav = pcmToWav;
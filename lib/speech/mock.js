@@ -0,0 +1,13 @@
+// 模拟识别服务，用于开发和测试：不访问任何外部服务，直接返回固定文本
+//   SPEECH_MOCK_TEXT  返回的文本，默认为一段示例文字
+
+module.exports = function createMockProvider(env) {
+    const text = env.SPEECH_MOCK_TEXT || '这是一段模拟的语音识别结果';
+    return {
+        name: 'mock',
+        async recognize(pcm) {
+            if (!pcm || pcm.length === 0) throw new Error('识别失败: 音频为空');
+            return text;
+        }
+    };
+};
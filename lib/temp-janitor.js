@@ -0,0 +1,64 @@
+// --- 临时文件清理 (Temp File Janitor) ---
+// 所有语音临时文件都放在专用目录中：
+//   - 请求结束时由 release() 异步删除
+//   - 进程退出（包括未捕获异常导致的退出）时同步删除仍在处理中的文件
+//   - 启动时及之后定期清理超过 maxAgeMs 的残留文件，覆盖进程被强制杀死的情况
+
+const fs = require('fs');
+const path = require('path');
+const { nanoid } = require('nanoid');
+
+class TempJanitor {
+    constructor({ dir, maxAgeMs = 10 * 60 * 1000, intervalMs = 5 * 60 * 1000 }) {
+        this.dir = dir;
+        this.maxAgeMs = maxAgeMs;
+        this.intervalMs = intervalMs;
+        this.active = new Set();
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    start() {
+        this.sweep();
+        setInterval(() => this.sweep(), this.intervalMs).unref();
+        process.on('exit', () => {
+            for (const file of this.active) {
+                try { fs.rmSync(file, { force: true }); } catch (e) { /* 退出时尽力而为 */ }
+            }
+        });
+        return this;
+    }
+
+    // 登记一个处理中的临时文件，返回其路径
+    track(file) {
+        this.active.add(file);
+        return file;
+    }
+
+    // 在专用目录中分配一个新的临时文件路径并登记
+    allocate(suffix = '') {
+        return this.track(path.join(this.dir, `${nanoid(10)}${suffix}`));
+    }
+
+    async release(...files) {
+        await Promise.all(files.filter(Boolean).map(async (file) => {
+            this.active.delete(file);
+            await fs.promises.rm(file, { force: true });
+        }));
+    }
+
+    async sweep() {
+        try {
+            const now = Date.now();
+            for (const name of await fs.promises.readdir(this.dir)) {
+                const file = path.join(this.dir, name);
+                if (this.active.has(file)) continue;
+                const stat = await fs.promises.stat(file).catch(() => null);
+                if (stat && now - stat.mtimeMs > this.maxAgeMs) await fs.promises.rm(file, { force: true });
+            }
+        } catch (err) {
+            console.error('清理语音临时文件失败', err.message);
+        }
+    }
+}
+
+module.exports = TempJanitor;
@@ -0,0 +1,126 @@
+// --- 流式语音识别 (Streaming Voice Recognition) ---
+// 客户端通过 WebSocket 持续发送 MediaRecorder 的音频分片，这里用一个常驻的 ffmpeg 进程
+// 边收边转码为 16k 单声道 PCM。每累积一段新音频就对目前为止的全部音频重新识别一次，
+// 把结果作为中间结果推回客户端；结束时再做一次完整识别作为最终结果。
+// 识别服务沿用 lib/speech 的统一接口，因此任何 provider 都能用于流式模式。
+// 注意每次中间识别都会提交目前为止的全部音频：60 秒的语音按默认间隔约调用识别服务 30 次，
+// 且每次的音频越来越长，按次或按时长计费的识别服务成本会明显高于整段上传。
+
+const { PassThrough } = require('stream');
+const ffmpeg = require('fluent-ffmpeg');
+const { SAMPLE_RATE, BYTES_PER_SECOND } = require('./audio');
+
+const DEFAULT_PARTIAL_INTERVAL_SECONDS = 2; // 每新增约 2 秒音频识别一次
+const MAX_BYTES = BYTES_PER_SECOND * 60; // 短语音识别上限 60 秒
+
+class VoiceStream {
+    // provider: lib/speech 提供的识别服务
+    // send: (message) => void，向客户端发送一条消息
+    // partialIntervalSeconds: 中间识别的间隔（按新增音频时长计），为 0 时只在结束时识别一次
+    // onDone: 识别彻底结束（给出结果、出错或被终止）时调用一次，用于释放并发名额
+    constructor({ provider, send, partialIntervalSeconds = DEFAULT_PARTIAL_INTERVAL_SECONDS, onDone = () => {} }) {
+        this.provider = provider;
+        this.send = send;
+        this.partialIntervalBytes = partialIntervalSeconds * BYTES_PER_SECOND;
+        this.onDone = onDone;
+        this.released = false;
+        this.chunks = [];
+        this.bytes = 0;
+        this.recognizedBytes = 0;
+        this.recognizing = false;
+        this.ended = false; // 输入已关闭，等待转码收尾
+        this.finished = false; // 已发出最终结果或错误
+
+        this.input = new PassThrough();
+        this.command = ffmpeg(this.input)
+            .outputOptions(['-f s16le', '-acodec pcm_s16le', '-ac 1', `-ar ${SAMPLE_RATE}`])
+            .on('error', (err) => {
+                if (this.finished) return;
+                this.finished = true;
+                console.error('流式音频转码失败', err.message);
+                this.send({ type: 'voice_error', message: '音频转码失败' });
+                this.release();
+            });
+        const output = this.command.pipe();
+        output.on('data', (chunk) => this.onPcm(chunk));
+        output.on('end', () => this.finish());
+    }
+
+    write(chunk) {
+        if (!this.ended && !this.finished) this.input.write(chunk);
+    }
+
+    // 客户端停止录音：关闭输入，等 ffmpeg 把剩余数据转码完后触发 finish
+    end() {
+        if (this.ended || this.finished) return;
+        this.ended = true;
+        this.input.end();
+    }
+
+    // 连接断开等情况下直接终止，不再发送任何结果
+    abort() {
+        this.finished = true;
+        this.input.destroy();
+        this.command.kill('SIGKILL');
+        this.release();
+    }
+
+    release() {
+        if (this.released) return;
+        this.released = true;
+        this.onDone();
+    }
+
+    onPcm(chunk) {
+        if (this.finished) return;
+        if (this.bytes >= MAX_BYTES) {
+            // 达到时长上限：停止接收，按已有音频给出最终结果
+            if (!this.ended) {
+                this.send({ type: 'voice_limit', message: '语音最长 60 秒，已自动结束' });
+                this.end();
+            }
+            return;
+        }
+        const room = MAX_BYTES - this.bytes;
+        const slice = chunk.length > room ? chunk.subarray(0, room) : chunk;
+        this.chunks.push(slice);
+        this.bytes += slice.length;
+        if (this.partialIntervalBytes > 0 && !this.recognizing && this.bytes - this.recognizedBytes >= this.partialIntervalBytes) {
+            this.recognizePartial();
+        }
+    }
+
+    // 同一时间只跑一次中间识别，识别期间到达的音频留给下一次
+    async recognizePartial() {
+        this.recognizing = true;
+        this.recognizedBytes = this.bytes;
+        try {
+            const text = await this.provider.recognize(Buffer.concat(this.chunks), { rate: SAMPLE_RATE });
+            if (!this.finished) this.send({ type: 'voice_partial', text });
+        } catch (e) {
+            // 中间结果失败不影响继续录音，最终识别时再报告错误
+        } finally {
+            this.recognizing = false;
+        }
+    }
+
+    async finish() {
+        if (this.finished) return;
+        this.finished = true;
+        if (this.bytes === 0) {
+            this.send({ type: 'voice_error', message: '未收到有效音频' });
+            this.release();
+            return;
+        }
+        try {
+            const text = await this.provider.recognize(Buffer.concat(this.chunks), { rate: SAMPLE_RATE });
+            this.send({ type: 'voice_final', text });
+        } catch (err) {
+            this.send({ type: 'voice_error', message: err.message });
+        } finally {
+            this.release();
+        }
+    }
+}
+
+module.exports = VoiceStream;
@@ -0,0 +1,265 @@
+// --- 抽奖页公共逻辑 (Lottery Draw Client) ---
+// 翻牌、气泡等抽奖页共用：渲染奖品选择与管理、抽奖规则面板，向服务端预览奖池（入选的奖券与未入选的原因），
+// 并发起抽奖。中奖者始终由服务端按同样的规则抽出；公开校验模式下先公布承诺值，揭晓时才确定中奖者。
+// 页面需提供日期选择框 #date-selector 与承诺值显示区域 #commitment。
+
+function createLotteryDraw({ sessionCode, presenterToken, rulesContainer, onPreview }) {
+    let pendingDraw = null; // 已公布承诺、尚未揭晓的抽奖
+    let previewSeq = 0;
+    let prizes = [];
+
+    // 奖品选择：指定奖品时按库存限制人数，并排除已获得同级或更高奖品的人
+    const prizeBar = document.createElement('div');
+    prizeBar.className = 'prize-bar';
+    prizeBar.innerHTML = `
+        <label>奖品 <select name="prizeId"></select></label>
+        <label>人数 <input type="number" name="count" min="1" step="1" value="1"></label>
+        <details class="prize-manager">
+            <summary>管理奖品</summary>
+            <ul class="prize-items"></ul>
+            <form class="prize-form">
+                <input name="name" placeholder="奖品名称" required>
+                <input type="number" name="tier" min="1" step="1" value="1" title="等级，1 为最高">
+                <input type="number" name="quantity" min="1" step="1" value="1" title="数量">
+                <input name="image" placeholder="图片地址（可选）">
+                <button type="submit">添加</button>
+            </form>
+        </details>`;
+    rulesContainer.appendChild(prizeBar);
+    const prizeSelect = prizeBar.querySelector('[name="prizeId"]');
+    const countInput = prizeBar.querySelector('[name="count"]');
+    prizeSelect.addEventListener('change', () => {
+        limitCount();
+        preview();
+    });
+    prizeBar.querySelector('.prize-form').addEventListener('submit', addPrize);
+
+    const panel = document.createElement('details');
+    panel.className = 'rules-panel';
+    panel.innerHTML = `
+        <summary>抽奖规则</summary>
+        <label>奖券 <select name="ticketMode">
+            <option value="question">每条问题一张</option>
+            <option value="participant">每人一张</option>
+        </select></label>
+        <label>相似度阈值 <input type="number" name="similarityThreshold" min="0" max="1" step="0.05" value="0.25"></label>
+        <label>最短字数 <input type="number" name="minLength" min="0" step="1" value="0"></label>
+        <label>时间 <input type="time" name="since"> 至 <input type="time" name="until"></label>
+        <label><input type="checkbox" name="excludePreviousWinners"> 排除本场已中奖者</label>
+        <label>排除昵称 <input type="text" name="excludedNames" placeholder="多个用逗号分隔"></label>
+        <label>中奖概率 <select name="weighting">
+            <option value="none">按奖券均等</option>
+            <option value="engagement">按参与度加权</option>
+        </select></label>
+        <label>权重上限 <input type="number" name="maxWeight" min="1" max="100" step="1" value="5"></label>
+        <div class="rules-excluded">
+            <div class="rules-excluded-title"></div>
+            <ul></ul>
+        </div>`;
+    rulesContainer.appendChild(panel);
+    panel.addEventListener('change', () => preview());
+
+    const field = (name) => panel.querySelector(`[name="${name}"]`);
+    const selectedDate = () => document.getElementById('date-selector').value;
+
+    // 所选日期（ja-JP 格式 YYYY/M/D）当天的某个时刻
+    function timeOnDate(time, endOfMinute) {
+        if (!time) return null;
+        const [y, m, d] = selectedDate().split('/').map(Number);
+        const [hh, mm] = time.split(':').map(Number);
+        return new Date(y, m - 1, d, hh, mm, endOfMinute ? 59 : 0, endOfMinute ? 999 : 0).toISOString();
+    }
+
+    const rules = () => ({
+        ticketMode: field('ticketMode').value,
+        similarityThreshold: Number(field('similarityThreshold').value),
+        minLength: Number(field('minLength').value) || 0,
+        excludePreviousWinners: field('excludePreviousWinners').checked,
+        since: timeOnDate(field('since').value, false),
+        until: timeOnDate(field('until').value, true),
+        excludedNames: field('excludedNames').value.split(/[,，]/).map(name => name.trim()).filter(Boolean),
+        weighting: field('weighting').value,
+        maxWeight: Number(field('maxWeight').value) || 1
+    });
+
+    const drawOptions = (mode) => ({
+        date: selectedDate(),
+        timezoneOffset: new Date().getTimezoneOffset(),
+        rules: rules(),
+        prizeId: prizeSelect.value || undefined,
+        count: Math.max(Number(countInput.value) || 1, 1),
+        mode
+    });
+
+    async function request(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'X-Presenter-Token': presenterToken },
+            body: body && JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || '操作失败');
+        return data;
+    }
+
+    const post = (path, body) => request('POST', `/api/sessions/${sessionCode}/draws${path}`, body);
+
+    const prizeLabel = (prize) => `第 ${prize.tier} 等 · ${prize.name}`;
+
+    function limitCount() {
+        const prize = prizes.find(p => p._id === prizeSelect.value);
+        countInput.max = prize ? Math.max(prize.remaining, 1) : '';
+        if (prize && Number(countInput.value) > prize.remaining) countInput.value = Math.max(prize.remaining, 1);
+    }
+
+    // 刷新奖品列表与剩余库存，保留当前选择
+    async function loadPrizes() {
+        try {
+            prizes = await request('GET', `/api/sessions/${sessionCode}/prizes`);
+        } catch (e) {
+            console.error(e);
+            return;
+        }
+        const selected = prizeSelect.value;
+        prizeSelect.innerHTML = '';
+        prizeSelect.appendChild(new Option('不指定奖品', ''));
+        prizes.forEach(prize => {
+            const option = new Option(`${prizeLabel(prize)}（剩余 ${prize.remaining}/${prize.quantity}）`, prize._id);
+            option.disabled = prize.remaining === 0;
+            prizeSelect.appendChild(option);
+        });
+        if (prizes.some(p => p._id === selected && p.remaining > 0)) prizeSelect.value = selected;
+        limitCount();
+
+        const items = prizeBar.querySelector('.prize-items');
+        items.innerHTML = '';
+        prizes.forEach(prize => {
+            const li = document.createElement('li');
+            li.textContent = `${prizeLabel(prize)} × ${prize.quantity}（已抽出 ${prize.awarded}）`;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '删除';
+            remove.onclick = async () => {
+                if (!confirm(`删除奖品“${prize.name}”？已有的中奖记录不受影响`)) return;
+                try {
+                    await request('DELETE', `/api/prizes/${prize._id}`);
+                    await loadPrizes();
+                    preview();
+                } catch (e) { alert(e.message); }
+            };
+            li.appendChild(remove);
+            items.appendChild(li);
+        });
+    }
+
+    async function addPrize(event) {
+        event.preventDefault();
+        const form = event.target;
+        try {
+            await request('POST', `/api/sessions/${sessionCode}/prizes`, {
+                name: form.name.value,
+                tier: Number(form.tier.value),
+                quantity: Number(form.quantity.value),
+                image: form.image.value
+            });
+            form.reset();
+            await loadPrizes();
+        } catch (e) { alert(e.message); }
+    }
+
+    // 在 container 中显示奖品图片和名称
+    function renderPrize(container, prize) {
+        container.innerHTML = '';
+        if (!prize) return;
+        if (prize.image) {
+            const img = document.createElement('img');
+            img.src = prize.image;
+            img.alt = '';
+            container.appendChild(img);
+        }
+        const name = document.createElement('div');
+        name.textContent = prizeLabel(prize);
+        container.appendChild(name);
+    }
+
+    // 侧边栏中参与者的说明：加权时显示权重及其构成，否则显示奖券数
+    function describeParticipant(participant) {
+        if (participant.weight === undefined) return { label: `${participant.name} (${participant.tickets})`, title: '' };
+        const { questions, votes, polls } = participant.engagement;
+        return {
+            label: `${participant.name} · 权重 ${participant.weight}`,
+            title: `提问 ${questions} · 获赞 ${votes} · 投票 ${polls}`
+        };
+    }
+
+    function renderExcluded(excluded, message) {
+        const title = panel.querySelector('.rules-excluded-title');
+        const list = panel.querySelector('.rules-excluded ul');
+        list.innerHTML = '';
+        title.textContent = message || `未入选 (${excluded.length})`;
+        excluded.forEach(item => {
+            const li = document.createElement('li');
+            li.textContent = `${item.name}：${item.reason}`;
+            li.title = item.text || '';
+            list.appendChild(li);
+        });
+    }
+
+    // 规则或日期变化后重新预览；较早发出的请求晚到时忽略。
+    // 已公布的承诺针对旧奖池，规则变化后取消
+    async function preview() {
+        const seq = ++previewSeq;
+        cancelCommit();
+        try {
+            const result = await post('/preview', drawOptions());
+            if (seq !== previewSeq) return;
+            renderExcluded(result.excluded);
+            onPreview(result);
+        } catch (e) {
+            if (seq !== previewSeq) return;
+            renderExcluded([], e.message);
+            onPreview({ tickets: [], participants: [], excluded: [] });
+        }
+    }
+
+    // 公开校验模式：主持人开始抽奖时公布承诺值，之前未揭晓的承诺先取消
+    async function commit() {
+        cancelCommit();
+        pendingDraw = await post('', drawOptions('commit'));
+        document.getElementById('commitment').textContent = `本次抽奖承诺值：${pendingDraw.commitment}`;
+        if (pendingDraw.prize) loadPrizes();
+    }
+
+    // 放弃已公布、尚未揭晓的承诺，服务端删除该记录；keepalive 保证在关闭页面时也能发出
+    function cancelCommit() {
+        if (!pendingDraw) return;
+        const id = pendingDraw._id;
+        pendingDraw = null;
+        document.getElementById('commitment').textContent = '';
+        fetch(`/api/sessions/${sessionCode}/draws/${id}/cancel`, {
+            method: 'POST',
+            headers: { 'X-Presenter-Token': presenterToken },
+            keepalive: true
+        }).catch(e => console.error(e));
+    }
+    window.addEventListener('pagehide', cancelCommit);
+
+    // 有已公布的承诺时揭晓它，否则直接抽奖；返回中奖记录（winners 为本次全部中奖者）
+    async function draw() {
+        let record;
+        if (pendingDraw) {
+            const id = pendingDraw._id;
+            pendingDraw = null;
+            record = await post(`/${id}/reveal`, {});
+        } else {
+            record = await post('', drawOptions('instant'));
+        }
+        if (record.prize) loadPrizes();
+        return record;
+    }
+
+    loadPrizes();
+    const hasCommitment = () => pendingDraw !== null;
+
+    return { preview, commit, cancelCommit, hasCommitment, draw, renderPrize, describeParticipant };
+}
@@ -0,0 +1,48 @@
+// --- 房间 WebSocket 连接 (Room Socket) ---
+// 展示页、提问页、审核页、聚光灯页共用：以指定角色加入场次房间，断线后自动重连，
+// 并带上最后收到的消息序号请求服务端补发错过的消息。服务端无法补发时
+// （服务重启或断线太久）调用 onResync，由页面重新拉取完整数据。
+// role: presenter / participant / display / moderator；主持人与审核角色需传入主持人令牌 token 或已用管理员账号登录
+const ROOM_PROTOCOL_VERSION = 1;
+
+function connectRoom(room, { role, token, onMessage, onResync, onOpen, onClose }) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = `${protocol}//${window.location.host}`;
+    let position = null; // 最后收到的 { epoch, seq }
+
+    function connect() {
+        const ws = new WebSocket(url);
+        ws.onopen = () => {
+            ws.send(JSON.stringify({ type: 'join', room, role, token, v: ROOM_PROTOCOL_VERSION, resume: position }));
+            if (onOpen) onOpen(ws);
+        };
+        ws.onmessage = (event) => {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (e) {
+                console.error(e);
+                return;
+            }
+            if (data.type === 'joined') {
+                const reconnected = position !== null;
+                position = { epoch: data.epoch, seq: data.seq };
+                if (reconnected && !data.resumed && onResync) onResync();
+                return;
+            }
+            if (typeof data.seq === 'number' && position) {
+                if (data.seq <= position.seq) return; // 已处理过的消息
+                position.seq = data.seq;
+            }
+            try {
+                onMessage(data);
+            } catch (e) { console.error(e); }
+        };
+        ws.onclose = () => {
+            if (onClose) onClose();
+            setTimeout(connect, 1000);
+        };
+    }
+
+    connect();
+}
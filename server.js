@@ -5,27 +5,69 @@ const WebSocket = require('ws');
 const path = require('path');
 const mongoose = require('mongoose');
 const basicAuth = require('express-basic-auth');
+const cookieParser = require('cookie-parser');
+const proxyaddr = require('proxy-addr');
+const crypto = require('crypto');
 const { nanoid } = require('nanoid');
 const multer = require('multer');
 const fs = require('fs');
 const os = require('os');
-const AipSpeechClient = require('baidu-aip-sdk').speech;
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const ffprobeInstaller = require('@ffprobe-installer/ffprobe');
+const RateLimiter = require('./lib/rate-limiter');
+const { isSimilar } = require('./lib/similarity');
+const { ContentFilter, mostSevere, FILTER_ACTIONS } = require('./lib/content-filter');
+const { createSpeechProvider } = require('./lib/speech');
+const VoiceStream = require('./lib/voice-stream');
+const { probeAudio, transcodeToPcm, splitPcm, pcmDuration, SAMPLE_RATE } = require('./lib/audio');
+const TempJanitor = require('./lib/temp-janitor');
+const RoomLog = require('./lib/room-log');
+const RoomCounts = require('./lib/room-counts');
+const { createBackplane } = require('./lib/backplane');
+const { createSeed, drawWinners, dayRange, poolDigest, commitmentOf } = require('./lib/lottery');
+const { parseRules, evaluateEligibility, participantOf } = require('./lib/eligibility');
+const { publicSession, adminSession, publicQuestion, adminQuestion, publicReply, publicLotteryRecord, publicLotteryRecordDetail, publicPrize } = require('./lib/serializers');
 
-// --- 百度语音配置 ---
+// --- 语音识别配置 ---
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-const APP_ID = process.env.BAIDU_APP_ID || '你的APP_ID';
-const API_KEY = process.env.BAIDU_API_KEY || '你的API_KEY';
-const SECRET_KEY = process.env.BAIDU_SECRET_KEY || '你的SECRET_KEY';
-const baiduClient = new AipSpeechClient(APP_ID, API_KEY, SECRET_KEY);
-const upload = multer({ dest: os.tmpdir() });
+ffmpeg.setFfprobePath(ffprobeInstaller.path);
+const voiceJanitor = new TempJanitor({ dir: path.join(os.tmpdir(), 'slido-voice') }).start();
+const speechProvider = createSpeechProvider({ janitor: voiceJanitor }); // 由 SPEECH_PROVIDER 选择识别服务
+console.log(`语音识别服务: ${speechProvider.name}`);
+const VOICE_LIMITS = {
+    maxUploadBytes: Number(process.env.VOICE_MAX_UPLOAD_BYTES) || 10 * 1024 * 1024,
+    maxDurationSeconds: Number(process.env.VOICE_MAX_DURATION_SECONDS) || 180,
+    segmentSeconds: 59, // 识别服务单次最长 60 秒，超出部分切段识别
+    // 流式识别：本实例同时进行的总数、同一 IP 同时进行的数量（同一参与者同时只能有一段），以及中间识别间隔
+    maxStreams: Number(process.env.VOICE_MAX_STREAMS) || 20,
+    maxStreamsPerIp: Number(process.env.VOICE_MAX_STREAMS_PER_IP) || 3,
+    partialIntervalSeconds: process.env.VOICE_PARTIAL_INTERVAL_SECONDS === undefined ? 2 : Number(process.env.VOICE_PARTIAL_INTERVAL_SECONDS),
+    // 整段上传：同一 IP、同一参与者每个窗口内的上传次数
+    uploadWindowMs: Number(process.env.VOICE_UPLOAD_WINDOW_MS) || 60 * 1000,
+    uploadsPerIp: Number(process.env.VOICE_UPLOADS_PER_IP) || 10,
+    uploadsPerParticipant: Number(process.env.VOICE_UPLOADS_PER_PARTICIPANT) || 3
+};
+const voiceIpLimiter = new RateLimiter({ limit: VOICE_LIMITS.uploadsPerIp, windowMs: VOICE_LIMITS.uploadWindowMs });
+const voiceParticipantLimiter = new RateLimiter({ limit: VOICE_LIMITS.uploadsPerParticipant, windowMs: VOICE_LIMITS.uploadWindowMs });
+const upload = multer({ dest: voiceJanitor.dir, limits: { fileSize: VOICE_LIMITS.maxUploadBytes, files: 1 } });
+
+// --- 提问限制配置 (Submission Limits) ---
+const ASK_LIMITS = {
+    windowMs: Number(process.env.ASK_RATE_WINDOW_MS) || 60 * 1000,
+    perIp: Number(process.env.ASK_RATE_LIMIT_PER_IP) || 20, // 同一 IP（可能是共享网络）每个窗口内的提问数
+    perParticipant: Number(process.env.ASK_RATE_LIMIT_PER_PARTICIPANT) || 3, // 单个参与者每个窗口内的提问数
+    maxQuestionLength: Number(process.env.MAX_QUESTION_LENGTH) || 500,
+    maxNameLength: Number(process.env.MAX_NAME_LENGTH) || 30,
+    duplicateLookback: 20, // 重复检测时比对该参与者最近的问题数
+    editWindowMs: (Number(process.env.QUESTION_EDIT_WINDOW_SECONDS) || 120) * 1000 // 提交后允许本人修改或撤回的时长
+};
+const ipLimiter = new RateLimiter({ limit: ASK_LIMITS.perIp, windowMs: ASK_LIMITS.windowMs });
+const participantLimiter = new RateLimiter({ limit: ASK_LIMITS.perParticipant, windowMs: ASK_LIMITS.windowMs });
 
 // --- 数据库连接 (Database Setup) ---
+// 连接在启动服务器时建立（见文件末尾 start）
 const MONGO_URI = process.env.MONGO_URI; 
-mongoose.connect(MONGO_URI)
-    .then(() => console.log('成功连接到 MongoDB Atlas'))
-    .catch(err => console.error('连接 MongoDB 失败:', err));
 
 // --- 数据模型定义 (Data Models) ---
 
@@ -34,35 +76,189 @@ const sessionSchema = new mongoose.Schema({
     name: { type: String, required: true },
     code: { type: String, required: true, unique: true, default: () => nanoid(6) },
     totalConnections: { type: Number, default: 0 }, // 记录历史总参与人次
+    moderated: { type: Boolean, default: false }, // 审核模式：新问题需审核通过后才上墙
+    presenterToken: { type: String, default: () => nanoid(24), select: false }, // 主持人令牌，用于删除、抽奖等操作
+    status: { type: String, enum: ['open', 'paused', 'closed', 'archived'], default: 'open' }, // 场次状态，仅 open 时接受提问
+    opensAt: Date, // 定时开放提问，到点后自动切换为 open
+    closesAt: Date, // 定时结束提问，到点后自动切换为 closed
     createdAt: { type: Date, default: Date.now }
 });
 const Session = mongoose.model('Session', sessionSchema);
 
+// 场次状态允许的切换
+const SESSION_TRANSITIONS = {
+    open: ['paused', 'closed'],
+    paused: ['open', 'closed'],
+    closed: ['open', 'archived'],
+    archived: ['closed']
+};
+const SESSION_STATUS_MESSAGES = {
+    paused: '提问已暂停，请稍后再试',
+    closed: '本场提问已结束',
+    archived: '本场提问已结束'
+};
+
 // 2. 问题 (Question) 模型
+// 问题下的回复：主持人的书面回答与参与者的追问，按时间顺序排列
+const replySchema = new mongoose.Schema({
+    role: { type: String, enum: ['presenter', 'participant'], required: true },
+    name: String,
+    text: String,
+    participantKey: String, // 追问者的公开标识，主持人回答为空
+    createdAt: { type: Date, default: Date.now }
+});
+
 const questionSchema = new mongoose.Schema({
     text: String,
     name: { type: String, default: '匿名' },
     sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
     ipAddress: String, // 记录提问者 IP 地址
+    participantId: { type: String, select: false }, // 提问者的匿名参与者 ID（签名 Cookie 中的值），不对外公开
+    participantKey: String, // 由场次与参与者 ID 派生的公开标识，用于抽奖按人分组，无法反推出 ID，也无法跨场次关联
+    // 审核状态；主持人删除或本人撤回的问题保留记录，以便在"我的问题"中显示
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'deleted', 'withdrawn'], default: 'approved' },
+    wonAt: Date, // 在抽奖中被抽中的时间
+    pinned: { type: Boolean, default: false }, // 主持人置顶
+    answerStatus: { type: String, enum: ['unanswered', 'answering', 'answered'], default: 'unanswered' }, // 同一场次同时只有一个 answering
+    answeredAt: Date,
+    replies: { type: [replySchema], default: [] },
+    votes: { type: Number, default: 0 }, // 点赞数
+    voters: { type: [String], default: [], select: false }, // 已点赞的参与者标识，用于去重
     createdAt: { type: Date, default: Date.now }
 });
 const Question = mongoose.model('Question', questionSchema);
 
+// 公开可见的问题：审核通过，或早于审核功能、没有 status 字段的旧数据
+const VISIBLE_QUESTION = { status: { $nin: ['pending', 'rejected', 'deleted', 'withdrawn'] } };
+
+// 本人仍可修改或撤回：未被拒绝/删除，且在提交后的修改时限内
+const isEditableQuestion = (question) =>
+    ['pending', 'approved'].includes(question.status) &&
+    Date.now() - question.createdAt.getTime() < ASK_LIMITS.editWindowMs;
+
+// "我的问题"返回给本人的数据：公开字段之外附带可修改截止时间
+const ownQuestionView = (question) => {
+    const view = publicQuestion(question);
+    if (isEditableQuestion(question)) view.editableUntil = new Date(question.createdAt.getTime() + ASK_LIMITS.editWindowMs);
+    return view;
+};
+
 // 3. 中奖记录 (LotteryRecord) 模型
+// weight 仅在按参与度加权时存在
+const drawTicketFields = { questionId: mongoose.Schema.Types.ObjectId, participantKey: String, name: String, text: String, weight: Number };
 const lotteryRecordSchema = new mongoose.Schema({
     sessionName: String,
     sessionCode: String,
     date: String, // 抽奖针对的问题日期
+    // 早于多人抽奖的记录只有一名中奖者，记录在以下三个字段中；之后的记录使用 winners
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
     questionText: String,
     userName: String,
+    // 抽取的奖品（抽奖时的快照），不指定奖品时为空
+    prize: {
+        type: new mongoose.Schema({ prizeId: mongoose.Schema.Types.ObjectId, name: String, tier: Number, image: String }, { _id: false }),
+        default: undefined
+    },
+    count: { type: Number, default: 1 }, // 本次抽取人数
+    winners: { type: [{ _id: false, ...drawTicketFields, winnerIndex: Number }], default: undefined },
+    // 服务端抽奖的依据：奖池快照、随机种子和中奖位置，可据此复算结果
+    pool: {
+        type: [{ _id: false, ...drawTicketFields }],
+        default: undefined,
+        select: false
+    },
+    poolSize: Number,
+    poolDigest: String,
+    rules: mongoose.Schema.Types.Mixed, // 生成奖池时使用的抽奖规则
+    seed: String, // 公开校验模式下揭晓前不对外公开
+    winnerIndex: Number, // 早于多人抽奖的记录的中奖位置
+    // 公开校验模式：先公布承诺值（committed），揭晓时才确定中奖者并公开种子（revealed）
+    mode: { type: String, enum: ['instant', 'commit'], default: 'instant' },
+    status: { type: String, enum: ['committed', 'revealed'], default: 'revealed' },
+    commitment: String,
+    revealedAt: Date,
     createdAt: { type: Date, default: Date.now }
 });
 const LotteryRecord = mongoose.model('LotteryRecord', lotteryRecordSchema);
 
+// 4. 投票 (Poll) 模型
+const pollSchema = new mongoose.Schema({
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+    question: { type: String, required: true },
+    type: { type: String, enum: ['single', 'multiple'], default: 'single' }, // 单选 / 多选
+    options: [{ text: String, votes: { type: Number, default: 0 } }],
+    voterCount: { type: Number, default: 0 }, // 参与投票人数（多选时不等于总票数）
+    voters: { type: [String], default: [], select: false }, // 已投票的参与者标识，用于去重
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    createdAt: { type: Date, default: Date.now }
+});
+const Poll = mongoose.model('Poll', pollSchema);
+
+// 5. 词云 (WordCloud) 模型
+const wordCloudSchema = new mongoose.Schema({
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+    prompt: { type: String, required: true },
+    words: [{ _id: false, text: String, count: { type: Number, default: 0 } }], // 归一化后的词及出现次数
+    responseCount: { type: Number, default: 0 }, // 提交人数
+    voters: { type: [String], default: [], select: false }, // 已提交的参与者标识，用于去重
+    status: { type: String, enum: ['open', 'closed'], default: 'open' },
+    createdAt: { type: Date, default: Date.now }
+});
+const WordCloud = mongoose.model('WordCloud', wordCloudSchema);
+
+// 6. 敏感词 (FilterRule) 模型：sessionCode 为空表示全局词条
+const filterRuleSchema = new mongoose.Schema({
+    term: { type: String, required: true },
+    action: { type: String, enum: FILTER_ACTIONS, default: 'mask' },
+    sessionCode: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+const FilterRule = mongoose.model('FilterRule', filterRuleSchema);
+
+// 7. 敏感词命中日志 (FilterLog) 模型
+const filterLogSchema = new mongoose.Schema({
+    sessionCode: String,
+    name: String,
+    text: String, // 提交的原文
+    matches: [String], // 命中的词条
+    action: { type: String, enum: FILTER_ACTIONS },
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' }, // 被拒绝时为空
+    ipAddress: String,
+    createdAt: { type: Date, default: Date.now }
+});
+const FilterLog = mongoose.model('FilterLog', filterLogSchema);
+
+// 8. 奖品 (Prize) 模型：tier 越小等级越高（1 为一等奖）
+const prizeSchema = new mongoose.Schema({
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+    name: { type: String, required: true },
+    tier: { type: Number, default: 1 },
+    quantity: { type: Number, default: 1 },
+    awarded: { type: Number, default: 0 }, // 已抽出的数量，包括已公布承诺、尚未揭晓的抽奖（取消或过期时退回）
+    image: String, // 奖品图片地址
+    createdAt: { type: Date, default: Date.now }
+});
+const Prize = mongoose.model('Prize', prizeSchema);
+
 // --- Express 应用初始化 ---
 const app = express();
 app.use(express.json());
 
+// 部署在反向代理之后时通过 TRUST_PROXY 声明可信的代理（true、代理层数或地址列表，写法同 Express 的 trust proxy），
+// 此时 req.ip 取自 X-Forwarded-For；未配置时不采信该请求头，req.ip 为直连地址，防止客户端伪造 IP 绕过限流
+function parseTrustProxy(value) {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
+// 签名 Cookie 的密钥；未配置时每次启动随机生成，重启后参与者会获得新身份
+const COOKIE_SECRET = process.env.COOKIE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.COOKIE_SECRET) console.warn('未配置 COOKIE_SECRET，参与者身份将在服务重启后失效');
+const parseCookies = cookieParser(COOKIE_SECRET);
+app.use(parseCookies);
+
 // --- 安全与中间件 (Security & Middleware) ---
 const adminAuth = basicAuth({
     users: { [process.env.ADMIN_USERNAME]: process.env.ADMIN_PASSWORD },
@@ -70,6 +266,87 @@ const adminAuth = basicAuth({
     realm: 'SlidoAdmin'
 });
 
+// 不弹出认证框，仅判断请求是否携带了有效的管理员凭据
+function isAdminRequest(req) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Basic ')) return false;
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const sep = decoded.indexOf(':');
+    if (sep < 0 || !process.env.ADMIN_USERNAME) return false;
+    const user = decoded.slice(0, sep);
+    const pass = decoded.slice(sep + 1);
+    return basicAuth.safeCompare(user, process.env.ADMIN_USERNAME)
+        & basicAuth.safeCompare(pass, process.env.ADMIN_PASSWORD || '');
+}
+
+// 主持人或管理员鉴权：resolveSession 根据请求找到目标场次（需包含 presenterToken）
+// 校验通过后场次挂在 req.sessionDoc 上供后续处理使用
+function presenterAuth(resolveSession) {
+    return async (req, res, next) => {
+        try {
+            const session = await resolveSession(req);
+            if (!session) return res.status(404).json({ message: '场次不存在' });
+            const token = req.get('X-Presenter-Token') || '';
+            const tokenValid = !session.$isDefault('presenterToken')
+                && basicAuth.safeCompare(token, session.presenterToken);
+            if (!tokenValid && !isAdminRequest(req)) {
+                return res.status(401).json({ message: '无权执行此操作，请从仪表盘打开展示页' });
+            }
+            req.sessionDoc = session;
+            next();
+        } catch (e) { res.status(500).json({ message: '鉴权失败' }); }
+    };
+}
+
+const sessionOfQuestion = async (req) => {
+    const question = await Question.findById(req.params.id);
+    return question && Session.findById(question.sessionId).select('+presenterToken');
+};
+
+const sessionOfParam = (req) => Session.findOne({ code: req.params.code }).select('+presenterToken');
+const sessionOfPoll = async (req) => {
+    const poll = await Poll.findById(req.params.id);
+    return poll && Session.findById(poll.sessionId).select('+presenterToken');
+};
+const sessionOfPrize = async (req) => {
+    const prize = await Prize.findById(req.params.id);
+    return prize && Session.findById(prize.sessionId).select('+presenterToken');
+};
+const sessionOfWordCloud = async (req) => {
+    const cloud = await WordCloud.findById(req.params.id);
+    return cloud && Session.findById(cloud.sessionId).select('+presenterToken');
+};
+
+// 匿名参与者身份：首次打开提问页时签发签名 Cookie，之后的提问、点赞、投票都以它识别参与者
+const PARTICIPANT_COOKIE = 'slido_pid';
+function issueParticipant(req, res, next) {
+    let participantId = req.signedCookies[PARTICIPANT_COOKIE];
+    if (!participantId) {
+        participantId = nanoid(16);
+        res.cookie(PARTICIPANT_COOKIE, participantId, {
+            signed: true,
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: 365 * 24 * 60 * 60 * 1000
+        });
+    }
+    req.participantId = participantId;
+    next();
+}
+
+// 参与者接口只认已签发的 Cookie，不在这里发放新身份，否则不带 Cookie 的请求每次都是新参与者，
+// 可绕过点赞、投票去重和按参与者的限流
+function requireParticipant(req, res, next) {
+    const participantId = req.signedCookies[PARTICIPANT_COOKIE];
+    if (!participantId) return res.status(401).json({ message: '请先打开提问页再参与互动' });
+    req.participantId = participantId;
+    next();
+}
+
+// 公开标识按场次派生：Cookie 在各场次间共用，若标识也相同，任何人都能跨场次关联同一参与者的提问
+const participantKeyOf = (sessionId, participantId) =>
+    crypto.createHmac('sha256', COOKIE_SECRET).update(`${sessionId}:${participantId}`).digest('base64url').slice(0, 12);
+
 // --- 路由定义 (Routes) ---
 
 // 1. 保护后台管理页面
@@ -86,7 +363,16 @@ app.get('/session/:code', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'presenter.html'));
 });
 
-app.get('/session/:code/ask', (req, res) => {
+// 聚光灯投屏页：只展示主持人正在回答的问题
+app.get('/session/:code/spotlight', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'spotlight.html'));
+});
+
+app.get('/session/:code/moderate', adminAuth, (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'moderator.html'));
+});
+
+app.get('/session/:code/ask', issueParticipant, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'client.html'));
 });
 
@@ -103,6 +389,10 @@ app.get('/records.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'records.html'));
 });
 
+app.get('/verify.html', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'verify.html'));
+});
+
 // 4. 提问成功页
 app.get('/session/:code/success', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'success.html'));
@@ -118,14 +408,17 @@ app.post('/api/sessions', adminAuth, async (req, res) => {
     try {
         const newSession = new Session({ name: req.body.name });
         await newSession.save();
-        res.status(201).json(newSession);
+        res.status(201).json(adminSession(newSession));
     } catch (e) { res.status(500).json({ message: '创建场次失败' }); }
 });
 
 app.get('/api/sessions', adminAuth, async (req, res) => {
     try {
-        const sessions = await Session.find().sort({ createdAt: -1 });
-        res.json(sessions);
+        const sessions = await Session.find().select('+presenterToken').sort({ createdAt: -1 });
+        // 早于令牌功能创建的场次在这里补发令牌
+        await Promise.all(sessions.filter(s => s.$isDefault('presenterToken'))
+            .map(s => Session.updateOne({ _id: s._id }, { presenterToken: s.presenterToken })));
+        res.json(sessions.map(adminSession));
     } catch (e) { res.status(500).json({ message: '获取列表失败' }); }
 });
 
@@ -133,74 +426,207 @@ app.get('/api/sessions/:code', async (req, res) => {
     try {
         const session = await Session.findOne({ code: req.params.code });
         if (!session) return res.status(404).json({ message: '场次不存在' });
-        const questions = await Question.find({ sessionId: session._id }).sort({ createdAt: 1 });
-        res.json({ session, questions });
+        const questions = await Question.find({ sessionId: session._id, ...VISIBLE_QUESTION }).sort({ createdAt: 1 });
+        res.json({ session: publicSession(session), questions: questions.map(publicQuestion) });
     } catch (e) { res.status(500).json({ message: '获取信息失败' }); }
 });
 
+app.patch('/api/sessions/:code', adminAuth, async (req, res) => {
+    const { moderated, status, opensAt, closesAt } = req.body;
+    try {
+        const session = await Session.findOne({ code: req.params.code });
+        if (!session) return res.status(404).json({ message: '场次不存在' });
+
+        if (typeof moderated === 'boolean') session.moderated = moderated;
+        // 定时字段传 null 或空字符串表示取消定时
+        for (const [key, value] of [['opensAt', opensAt], ['closesAt', closesAt]]) {
+            if (value === undefined) continue;
+            if (value && isNaN(new Date(value))) return res.status(400).json({ message: '时间格式无效' });
+            session[key] = value ? new Date(value) : undefined;
+        }
+        const statusChanged = status && status !== session.status;
+        if (statusChanged) {
+            if (!SESSION_TRANSITIONS[session.status].includes(status)) {
+                return res.status(400).json({ message: `无法从 ${session.status} 切换到 ${status}` });
+            }
+            session.status = status;
+        }
+        await session.save();
+
+        if (statusChanged) broadcastSessionStatus(session);
+        res.json(adminSession(session));
+    } catch (e) { res.status(500).json({ message: '更新场次失败' }); }
+});
+
+// 审核队列：列出待审核的问题
+app.get('/api/sessions/:code/pending', adminAuth, async (req, res) => {
+    try {
+        const session = await Session.findOne({ code: req.params.code });
+        if (!session) return res.status(404).json({ message: '场次不存在' });
+        const questions = await Question.find({ sessionId: session._id, status: 'pending' }).sort({ createdAt: 1 });
+        res.json({ session: adminSession(session), questions: questions.map(adminQuestion) });
+    } catch (e) { res.status(500).json({ message: '获取待审核问题失败' }); }
+});
+
 // B. 语音转文字 API (新增)
-app.post('/api/voice-to-text', upload.single('audio'), (req, res) => {
+// 与流式识别一样只对参与者开放，并在接收文件前按 IP 与参与者限制频率
+function limitVoiceUploads(req, res, next) {
+    const limited = [voiceIpLimiter.hit(req.ip), voiceParticipantLimiter.hit(req.participantId)]
+        .find(result => !result.allowed);
+    if (!limited) return next();
+    const seconds = Math.ceil(limited.retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ message: `语音识别太频繁，请 ${seconds} 秒后再试` });
+}
+
+const uploadAudio = (req, res, next) => upload.single('audio')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `音频文件不能超过 ${Math.round(VOICE_LIMITS.maxUploadBytes / 1024 / 1024)}MB` });
+    }
+    res.status(400).json({ message: '音频上传失败' });
+});
+
+app.post('/api/voice-to-text', requireParticipant, limitVoiceUploads, uploadAudio, async (req, res) => {
     if (!req.file) return res.status(400).json({ message: '未找到音频文件' });
-    
-    const inputPath = req.file.path;
-    const outputPath = `${inputPath}.pcm`;
-
-    ffmpeg(inputPath)
-        .outputOptions(['-f s16le', '-acodec pcm_s16le', '-ac 1', '-ar 16000'])
-        .save(outputPath)
-        .on('end', () => {
-            const voiceBuffer = fs.readFileSync(outputPath);
-            baiduClient.recognize(voiceBuffer, 'pcm', 16000).then((result) => {
-                if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-                if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-                if (result.err_no === 0) {
-                    res.json({ text: result.result[0] });
-                } else {
-                    res.status(500).json({ message: '识别失败: ' + result.err_msg });
-                }
-            }).catch(() => {
-                if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-                if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-                res.status(500).json({ message: '百度API请求错误' });
-            });
-        })
-        .on('error', () => {
-            if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-            if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
-            res.status(500).json({ message: '音频转码失败' });
-        });
+
+    const inputPath = voiceJanitor.track(req.file.path);
+    const outputPath = voiceJanitor.track(`${inputPath}.pcm`);
+    const tooLong = `语音不能超过 ${VOICE_LIMITS.maxDurationSeconds} 秒`;
+    try {
+        let info;
+        try {
+            info = await probeAudio(inputPath);
+        } catch (err) {
+            return res.status(400).json({ message: err.message });
+        }
+        if (info.duration && info.duration > VOICE_LIMITS.maxDurationSeconds) {
+            return res.status(413).json({ message: tooLong });
+        }
+
+        // 时长未知时多转 1 秒，用于判断是否超限
+        await transcodeToPcm(inputPath, outputPath, { maxSeconds: VOICE_LIMITS.maxDurationSeconds + 1 });
+        const pcm = await fs.promises.readFile(outputPath);
+        if (pcmDuration(pcm) > VOICE_LIMITS.maxDurationSeconds) return res.status(413).json({ message: tooLong });
+        if (pcm.length === 0) return res.status(400).json({ message: '音频为空' });
+
+        const texts = [];
+        for (const segment of splitPcm(pcm, VOICE_LIMITS.segmentSeconds)) {
+            texts.push(await speechProvider.recognize(segment, { rate: SAMPLE_RATE }));
+        }
+        res.json({ text: texts.join(''), format: info.format, codec: info.codec });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    } finally {
+        await voiceJanitor.release(inputPath, outputPath);
+    }
 });
 
 // C. 提问与删除 API
-app.post('/api/ask/:code', async (req, res) => {
-    const { question, name } = req.body;
-    const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress; // 获取 IP
+
+// 全局词表与本场词表一起过滤问题和名字；转入审核时保留原文供主持人判断
+async function screenQuestion(session, { text, name, ip }) {
+    const rules = await FilterRule.find({ sessionCode: { $in: [null, session.code] } });
+    const filter = new ContentFilter(rules);
+    const textCheck = filter.check(text);
+    const nameCheck = filter.check(name);
+    const action = mostSevere([textCheck.action, nameCheck.action]);
+    return {
+        action,
+        text: action === 'hold' ? text : textCheck.text,
+        name: action === 'hold' ? name : nameCheck.text,
+        log: (questionId) => FilterLog.create({
+            sessionCode: session.code,
+            name,
+            text,
+            matches: [...new Set([...textCheck.matches, ...nameCheck.matches])],
+            action,
+            questionId,
+            ipAddress: ip
+        })
+    };
+}
+
+// 同一参与者重复提交相似问题时拒绝（已撤回的不算；修改时不与被修改的问题本身比较）
+async function hasSimilarQuestion(session, participantId, text, exceptId) {
+    const filter = { sessionId: session._id, participantId, status: { $ne: 'withdrawn' } };
+    if (exceptId) filter._id = { $ne: exceptId };
+    const recent = await Question.find(filter).sort({ createdAt: -1 }).limit(ASK_LIMITS.duplicateLookback).select('text');
+    return recent.some(q => q.text && isSimilar(q.text, text));
+}
+
+// 提问、修改与追问共用限流额度；超限时写入 429 响应并返回 true
+function rejectIfRateLimited(res, session, ip, participantId) {
+    const limited = [ipLimiter.hit(`${session.code}:${ip}`), participantLimiter.hit(`${session.code}:${participantId}`)]
+        .find(result => !result.allowed);
+    if (!limited) return false;
+    const seconds = Math.ceil(limited.retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ message: `提问太频繁，请 ${seconds} 秒后再试` });
+    return true;
+}
+
+app.post('/api/ask/:code', requireParticipant, async (req, res) => {
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const participantId = req.participantId;
+    const ip = req.ip; // 获取 IP（经可信代理时为原始客户端地址）
+
+    if (!question) return res.status(400).json({ message: '问题内容不能为空' });
+    if (question.length > ASK_LIMITS.maxQuestionLength) {
+        return res.status(400).json({ message: `问题不能超过 ${ASK_LIMITS.maxQuestionLength} 个字` });
+    }
+    if (name.length > ASK_LIMITS.maxNameLength) {
+        return res.status(400).json({ message: `名字不能超过 ${ASK_LIMITS.maxNameLength} 个字` });
+    }
+
     try {
         const session = await Session.findOne({ code: req.params.code });
         if (!session) return res.status(404).json({ message: '场次不存在' });
+        if (session.status !== 'open') {
+            return res.status(403).json({ message: SESSION_STATUS_MESSAGES[session.status], status: session.status });
+        }
+
+        if (rejectIfRateLimited(res, session, ip, participantId)) return;
+        if (await hasSimilarQuestion(session, participantId, question)) {
+            return res.status(409).json({ message: '你已经提过类似的问题了' });
+        }
+
+        const screening = await screenQuestion(session, { text: question, name, ip });
+        if (screening.action === 'reject') {
+            await screening.log();
+            return res.status(400).json({ message: '问题包含不当内容，请修改后再提交' });
+        }
 
         const newQuestion = new Question({ 
-            text: question, 
-            name: name || '匿名', 
+            text: screening.text, 
+            name: screening.name || '匿名', 
             sessionId: session._id,
-            ipAddress: ip 
+            ipAddress: ip,
+            participantId,
+            participantKey: participantKeyOf(session._id, participantId),
+            status: session.moderated || screening.action === 'hold' ? 'pending' : 'approved'
         });
         await newQuestion.save();
+        if (screening.action !== 'none') await screening.log(newQuestion._id);
 
-        broadcastToRoom(session.code, {
-            type: 'new_question',
-            payload: newQuestion // 发送完整对象包含 ID 和时间
-        });
-        res.status(200).json({ message: '问题已收到' });
+        if (newQuestion.status === 'pending') {
+            await broadcastPendingCount(session);
+            return res.status(200).json({ message: '问题已提交，等待主持人审核', pending: true, question: ownQuestionView(newQuestion) });
+        }
+
+        // 发送完整对象包含 ID 和时间
+        broadcastToRoom(session.code, { type: 'new_question', payload: publicQuestion(newQuestion) });
+        res.status(200).json({ message: '问题已收到', question: ownQuestionView(newQuestion) });
     } catch (e) { res.status(500).json({ message: '提交失败' }); }
 });
 
-app.delete('/api/questions/:id', async (req, res) => {
+// 删除只标记状态，提问者仍能在"我的问题"中看到该问题已被删除
+app.delete('/api/questions/:id', presenterAuth(sessionOfQuestion), async (req, res) => {
     try {
-        const question = await Question.findByIdAndDelete(req.params.id);
+        const question = await Question.findByIdAndUpdate(req.params.id, { status: 'deleted' });
         if (question) {
-            const session = await Session.findById(question.sessionId);
-            broadcastToRoom(session.code, { 
+            broadcastToRoom(req.sessionDoc.code, { 
                 type: 'question_deleted', 
                 payload: { questionId: req.params.id } 
             });
@@ -209,82 +635,1033 @@ app.delete('/api/questions/:id', async (req, res) => {
     } catch (e) { res.status(500).json({ message: '删除失败' }); }
 });
 
+// 主持人在展示墙上标记问题：置顶、正在回答、已回答
+const ANSWER_STATUSES = questionSchema.path('answerStatus').enumValues;
+app.patch('/api/questions/:id/state', presenterAuth(sessionOfQuestion), async (req, res) => {
+    const { pinned, answerStatus } = req.body;
+    const update = {};
+    if (typeof pinned === 'boolean') update.pinned = pinned;
+    if (answerStatus !== undefined) {
+        if (!ANSWER_STATUSES.includes(answerStatus)) return res.status(400).json({ message: '无效的回答状态' });
+        update.answerStatus = answerStatus;
+        update.answeredAt = answerStatus === 'answered' ? new Date() : null;
+    }
+    if (Object.keys(update).length === 0) return res.status(400).json({ message: '没有需要更新的内容' });
+
+    try {
+        const session = req.sessionDoc;
+        const question = await Question.findOneAndUpdate(
+            { _id: req.params.id, sessionId: session._id, ...VISIBLE_QUESTION }, update, { new: true }
+        );
+        if (!question) return res.status(404).json({ message: '问题不存在' });
+
+        if ('pinned' in update) {
+            broadcastToRoom(session.code, {
+                type: 'question_pinned',
+                payload: { questionId: question.id, pinned: question.pinned }
+            });
+        }
+        if ('answerStatus' in update) {
+            // 开始回答新问题时，之前正在回答的问题退回未回答
+            if (answerStatus === 'answering') {
+                const previous = await Question.find({ sessionId: session._id, answerStatus: 'answering', _id: { $ne: question._id } }).select('_id');
+                if (previous.length > 0) {
+                    await Question.updateMany({ _id: { $in: previous.map(q => q._id) } }, { answerStatus: 'unanswered' });
+                    previous.forEach(q => broadcastToRoom(session.code, {
+                        type: 'question_answer_status_changed',
+                        payload: { questionId: q.id, answerStatus: 'unanswered' }
+                    }));
+                }
+            }
+            broadcastToRoom(session.code, {
+                type: 'question_answer_status_changed',
+                payload: { questionId: question.id, answerStatus: question.answerStatus }
+            });
+        }
+        res.json(publicQuestion(question));
+    } catch (e) { res.status(500).json({ message: '更新失败' }); }
+});
+
+// 回复：主持人书面回答、参与者追问
+async function pushReply(session, questionId, reply) {
+    const question = await Question.findOneAndUpdate(
+        { _id: questionId, sessionId: session._id, ...VISIBLE_QUESTION },
+        { $push: { replies: reply } },
+        { new: true }
+    );
+    if (!question) return null;
+    const saved = question.replies[question.replies.length - 1];
+    broadcastToRoom(session.code, { type: 'question_reply_added', payload: { questionId: question.id, reply: publicReply(saved) } });
+    return saved;
+}
+
+app.post('/api/questions/:id/answers', presenterAuth(sessionOfQuestion), async (req, res) => {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) return res.status(400).json({ message: '回答内容不能为空' });
+    if (text.length > ASK_LIMITS.maxQuestionLength) {
+        return res.status(400).json({ message: `回答不能超过 ${ASK_LIMITS.maxQuestionLength} 个字` });
+    }
+    try {
+        const reply = await pushReply(req.sessionDoc, req.params.id, { role: 'presenter', name: '主持人', text });
+        if (!reply) return res.status(404).json({ message: '问题不存在' });
+        res.status(201).json(publicReply(reply));
+    } catch (e) { res.status(500).json({ message: '回答失败' }); }
+});
+
+// 参与者追问：与提问一样受场次状态、限流和敏感词约束；命中需审核的词条时直接拒绝
+app.post('/api/questions/:id/replies', requireParticipant, async (req, res) => {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const ip = req.ip;
+    if (!text) return res.status(400).json({ message: '追问内容不能为空' });
+    if (text.length > ASK_LIMITS.maxQuestionLength) {
+        return res.status(400).json({ message: `追问不能超过 ${ASK_LIMITS.maxQuestionLength} 个字` });
+    }
+    if (name.length > ASK_LIMITS.maxNameLength) {
+        return res.status(400).json({ message: `名字不能超过 ${ASK_LIMITS.maxNameLength} 个字` });
+    }
+    try {
+        const question = await Question.findOne({ _id: req.params.id, ...VISIBLE_QUESTION }).select('sessionId');
+        if (!question) return res.status(404).json({ message: '问题不存在' });
+        const session = await Session.findById(question.sessionId);
+        if (session.status !== 'open') {
+            return res.status(403).json({ message: SESSION_STATUS_MESSAGES[session.status], status: session.status });
+        }
+        if (rejectIfRateLimited(res, session, ip, req.participantId)) return;
+
+        const screening = await screenQuestion(session, { text, name, ip });
+        if (screening.action !== 'none') await screening.log(question._id);
+        if (screening.action === 'reject' || screening.action === 'hold') {
+            return res.status(400).json({ message: '追问包含不当内容，请修改后再提交' });
+        }
+
+        const reply = await pushReply(session, question._id, {
+            role: 'participant',
+            name: screening.name || '匿名',
+            text: screening.text,
+            participantKey: participantKeyOf(session._id, req.participantId)
+        });
+        if (!reply) return res.status(404).json({ message: '问题不存在' });
+        res.status(201).json(publicReply(reply));
+    } catch (e) { res.status(500).json({ message: '追问失败' }); }
+});
+
+app.delete('/api/questions/:id/replies/:replyId', presenterAuth(sessionOfQuestion), async (req, res) => {
+    try {
+        const question = await Question.findOneAndUpdate(
+            { _id: req.params.id, 'replies._id': req.params.replyId },
+            { $pull: { replies: { _id: req.params.replyId } } }
+        );
+        if (!question) return res.status(404).json({ message: '回复不存在' });
+        broadcastToRoom(req.sessionDoc.code, {
+            type: 'question_reply_deleted',
+            payload: { questionId: req.params.id, replyId: req.params.replyId }
+        });
+        res.json({ message: '已删除' });
+    } catch (e) { res.status(500).json({ message: '删除失败' }); }
+});
+
+// 参与者自己在本场提交过的问题（包括待审核、被拒绝的）
+app.get('/api/sessions/:code/my-questions', requireParticipant, async (req, res) => {
+    try {
+        const session = await Session.findOne({ code: req.params.code });
+        if (!session) return res.status(404).json({ message: '场次不存在' });
+        const questions = await Question.find({ sessionId: session._id, participantId: req.participantId })
+            .sort({ createdAt: -1 });
+        res.json(questions.map(ownQuestionView));
+    } catch (e) { res.status(500).json({ message: '获取我的问题失败' }); }
+});
+
+// 取出本人在开放场次中、仍在修改时限内的问题；不满足时直接写入错误响应并返回 null
+async function findEditableOwnQuestion(req, res) {
+    const session = await Session.findOne({ code: req.params.code });
+    if (!session) { res.status(404).json({ message: '场次不存在' }); return null; }
+    if (session.status !== 'open') {
+        res.status(403).json({ message: SESSION_STATUS_MESSAGES[session.status], status: session.status });
+        return null;
+    }
+    const question = await Question.findOne({ _id: req.params.id, sessionId: session._id, participantId: req.participantId });
+    if (!question) { res.status(404).json({ message: '问题不存在' }); return null; }
+    if (!isEditableQuestion(question)) { res.status(403).json({ message: '已超过可修改时间' }); return null; }
+    return { session, question };
+}
+
+// 本人修改问题：与提问一样限流、查重并重新过滤；审核模式下或命中"转入审核"的词条时重新进入待审核队列
+app.patch('/api/sessions/:code/my-questions/:id', requireParticipant, async (req, res) => {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) return res.status(400).json({ message: '问题内容不能为空' });
+    if (text.length > ASK_LIMITS.maxQuestionLength) {
+        return res.status(400).json({ message: `问题不能超过 ${ASK_LIMITS.maxQuestionLength} 个字` });
+    }
+    try {
+        const found = await findEditableOwnQuestion(req, res);
+        if (!found) return;
+        const { session, question } = found;
+
+        if (rejectIfRateLimited(res, session, req.ip, req.participantId)) return;
+        if (await hasSimilarQuestion(session, req.participantId, text, question._id)) {
+            return res.status(409).json({ message: '你已经提过类似的问题了' });
+        }
+
+        const screening = await screenQuestion(session, { text, name: question.name, ip: req.ip });
+        if (screening.action === 'reject') {
+            await screening.log(question._id);
+            return res.status(400).json({ message: '问题包含不当内容，请修改后再提交' });
+        }
+        if (screening.action !== 'none') await screening.log(question._id);
+
+        const wasApproved = question.status === 'approved';
+        question.text = screening.text;
+        if (session.moderated || screening.action === 'hold') question.status = 'pending';
+        await question.save();
+
+        if (question.status === 'approved') {
+            broadcastToRoom(session.code, {
+                type: 'question_updated',
+                payload: { questionId: question.id, text: question.text }
+            });
+        } else {
+            // 已上墙的问题重新进入审核时先从展示墙撤下
+            if (wasApproved) broadcastToRoom(session.code, { type: 'question_deleted', payload: { questionId: question.id } });
+            await broadcastPendingCount(session);
+        }
+        res.json(ownQuestionView(question));
+    } catch (e) { res.status(500).json({ message: '修改失败' }); }
+});
+
+// 本人撤回问题
+app.delete('/api/sessions/:code/my-questions/:id', requireParticipant, async (req, res) => {
+    try {
+        const found = await findEditableOwnQuestion(req, res);
+        if (!found) return;
+        const { session, question } = found;
+        const wasApproved = question.status === 'approved';
+        question.status = 'withdrawn';
+        await question.save();
+        if (wasApproved) {
+            broadcastToRoom(session.code, { type: 'question_deleted', payload: { questionId: question.id } });
+        } else {
+            await broadcastPendingCount(session);
+        }
+        res.json(ownQuestionView(question));
+    } catch (e) { res.status(500).json({ message: '撤回失败' }); }
+});
+
+// 审核操作：通过（可同时修改文本）、拒绝、编辑
+app.post('/api/questions/:id/approve', adminAuth, async (req, res) => {
+    try {
+        const update = { status: 'approved' };
+        if (typeof req.body.text === 'string' && req.body.text.trim()) update.text = req.body.text.trim();
+        const question = await Question.findOneAndUpdate({ _id: req.params.id, status: 'pending' }, update, { new: true });
+        if (!question) return res.status(404).json({ message: '待审核问题不存在' });
+        const session = await Session.findById(question.sessionId);
+        broadcastToRoom(session.code, { type: 'new_question', payload: publicQuestion(question) });
+        await broadcastPendingCount(session);
+        res.json(adminQuestion(question));
+    } catch (e) { res.status(500).json({ message: '审核失败' }); }
+});
+
+app.post('/api/questions/:id/reject', adminAuth, async (req, res) => {
+    try {
+        const question = await Question.findOneAndUpdate({ _id: req.params.id, status: 'pending' }, { status: 'rejected' }, { new: true });
+        if (!question) return res.status(404).json({ message: '待审核问题不存在' });
+        const session = await Session.findById(question.sessionId);
+        // 只发送问题 ID，提问者的页面据此更新"我的问题"中的状态
+        broadcastToRoom(session.code, { type: 'question_rejected', payload: { questionId: req.params.id } });
+        await broadcastPendingCount(session);
+        res.json(adminQuestion(question));
+    } catch (e) { res.status(500).json({ message: '审核失败' }); }
+});
+
+app.patch('/api/questions/:id', adminAuth, async (req, res) => {
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) return res.status(400).json({ message: '问题内容不能为空' });
+    try {
+        const question = await Question.findByIdAndUpdate(req.params.id, { text }, { new: true });
+        if (!question) return res.status(404).json({ message: '问题不存在' });
+        if (question.status === 'approved') {
+            const session = await Session.findById(question.sessionId);
+            broadcastToRoom(session.code, {
+                type: 'question_updated',
+                payload: { questionId: req.params.id, text: question.text }
+            });
+        }
+        res.json(adminQuestion(question));
+    } catch (e) { res.status(500).json({ message: '编辑失败' }); }
+});
+
+// 点赞：每位参与者对同一问题只能点赞一次
+app.post('/api/questions/:id/vote', requireParticipant, async (req, res) => {
+    const voterId = req.participantId;
+    try {
+        const question = await Question.findOneAndUpdate(
+            { _id: req.params.id, ...VISIBLE_QUESTION, voters: { $ne: voterId } },
+            { $inc: { votes: 1 }, $push: { voters: voterId } },
+            { new: true }
+        );
+        if (!question) {
+            const exists = await Question.exists({ _id: req.params.id, ...VISIBLE_QUESTION });
+            if (!exists) return res.status(404).json({ message: '问题不存在' });
+            return res.status(409).json({ message: '你已经赞过这个问题了' });
+        }
+        const session = await Session.findById(question.sessionId);
+        broadcastToRoom(session.code, {
+            type: 'question_voted',
+            payload: { questionId: req.params.id, votes: question.votes }
+        });
+        res.json({ votes: question.votes });
+    } catch (e) { res.status(500).json({ message: '点赞失败' }); }
+});
+
 // D. 数据导出 API
 app.get('/api/questions', adminAuth, async (req, res) => {
     const { start, end } = req.query;
     try {
-        const query = { createdAt: { $gte: new Date(start), $lte: new Date(end) } };
+        const query = { createdAt: { $gte: new Date(start), $lte: new Date(end) }, status: { $nin: ['deleted', 'withdrawn'] } };
         const filteredQuestions = await Question.find(query).sort({ createdAt: 1 });
-        res.status(200).json(filteredQuestions);
+        res.status(200).json(filteredQuestions.map(adminQuestion));
     } catch (error) { res.status(500).json({ message: '服务器错误' }); }
 });
 
 // E. 中奖记录 API
-app.post('/api/lottery-records', async (req, res) => {
-    try {
-        const record = new LotteryRecord(req.body);
+// 揭晓：由记录中的奖池和种子确定中奖者，之后种子随记录公开。
+// 奖池转为普通对象再抽取，子文档展开后会丢失 questionId 等字段。
+// 待揭晓的记录只在仍为 committed 时更新，与取消、过期清理并发时以先完成者为准；未揭晓时返回 false
+async function revealDraw(session, record) {
+    const winners = drawWinners(record.seed, record.pool.map(entry => entry.toObject()), record.count);
+    const revealed = { winners, status: 'revealed', revealedAt: new Date() };
+    if (record.status === 'committed') {
+        const { matchedCount } = await LotteryRecord.updateOne({ _id: record._id, status: 'committed' }, revealed);
+        if (matchedCount === 0) return false;
+        Object.assign(record, revealed);
+    } else {
+        Object.assign(record, revealed);
         await record.save();
-        res.status(201).json(record);
-    } catch (e) { res.status(500).json({ message: '保存记录失败' }); }
+    }
+    await Question.updateMany({ _id: { $in: winners.map(w => w.questionId) } }, { wonAt: record.revealedAt });
+    winners.forEach(winner => broadcastToRoom(session.code, {
+        type: 'question_won',
+        payload: { questionId: String(winner.questionId) }
+    }));
+    return true;
+}
+
+// 按抽奖规则评估所选日期（浏览器本地日期）的可见问题，预览和正式抽奖共用；参数不合法时返回 { error }。
+// 指定奖品时排除已获得同级或更高等级奖品的人；按参与度加权时统计每人参与过的本场投票
+async function evaluateDrawPool(session, { date, timezoneOffset, rules: input, prizeId }) {
+    const offset = Number(timezoneOffset) || 0;
+    const range = Math.abs(offset) <= 14 * 60 ? dayRange(date, offset) : null;
+    if (!range) return { error: '日期格式无效' };
+    const { rules, error } = parseRules(input);
+    if (error) return { error };
+    let prize = null;
+    if (prizeId) {
+        prize = mongoose.isValidObjectId(prizeId) && await Prize.findOne({ _id: prizeId, sessionId: session._id });
+        if (!prize) return { error: '奖品不存在' };
+    }
+
+    const questions = await Question.find({
+        sessionId: session._id,
+        ...VISIBLE_QUESTION,
+        createdAt: { $gte: range.start, $lt: range.end }
+    }).sort({ createdAt: 1, _id: 1 });
+    const winners = rules.excludePreviousWinners
+        ? await Question.find({ sessionId: session._id, wonAt: { $ne: null } }).select('participantKey name')
+        : [];
+    const tierRecords = prize
+        ? await LotteryRecord.find({ sessionCode: session.code, status: 'revealed', 'prize.tier': { $lte: prize.tier } }).select('winners')
+        : [];
+    const tierWinners = tierRecords.flatMap(record => record.winners || []);
+    const pollVotes = new Map();
+    if (rules.weighting === 'engagement') {
+        const polls = await Poll.find({ sessionId: session._id }).select('+voters');
+        polls.flatMap(poll => poll.voters).forEach(voter => {
+            const key = participantKeyOf(session._id, voter);
+            pollVotes.set(key, (pollVotes.get(key) || 0) + 1);
+        });
+    }
+    return { rules, prize, ...evaluateEligibility(questions, rules, { winners, tierWinners, pollVotes }) };
+}
+
+// 资格预览：入选的奖券、各参与者的奖券数，以及未入选的问题和原因
+app.post('/api/sessions/:code/draws/preview', presenterAuth(sessionOfParam), async (req, res) => {
+    try {
+        const { prize, ...result } = await evaluateDrawPool(req.sessionDoc, req.body);
+        if (result.error) return res.status(400).json({ message: result.error });
+        res.json({ ...result, prize: prize ? publicPrize(prize) : null });
+    } catch (e) { res.status(500).json({ message: '获取抽奖资格失败' }); }
+});
+
+// 服务端抽奖：按抽奖规则生成奖池，由随机种子一次抽出 count 名中奖者并保存记录。
+// mode 为 commit 时只公布承诺值，中奖者在调用揭晓接口时才确定；指定奖品时在抽奖时扣减库存
+const DRAW_MODES = lotteryRecordSchema.path('mode').enumValues;
+const MAX_DRAW_COUNT = 100;
+app.post('/api/sessions/:code/draws', presenterAuth(sessionOfParam), async (req, res) => {
+    const { date, mode = 'instant' } = req.body;
+    const requested = req.body.count === undefined ? 1 : Number(req.body.count);
+    if (!DRAW_MODES.includes(mode)) return res.status(400).json({ message: '无效的抽奖模式' });
+    if (!Number.isInteger(requested) || requested < 1 || requested > MAX_DRAW_COUNT) {
+        return res.status(400).json({ message: `抽取人数应为 1 到 ${MAX_DRAW_COUNT} 之间的整数` });
+    }
+    let reservation = null; // 已预留的奖品库存，抽奖记录未能保存时退回
+    let record = null;
+    try {
+        const session = req.sessionDoc;
+        const evaluation = await evaluateDrawPool(session, req.body);
+        if (evaluation.error) return res.status(400).json({ message: evaluation.error });
+        const pool = evaluation.tickets;
+        if (pool.length === 0) return res.status(400).json({ message: '没有符合抽奖规则的问题' });
+
+        // 每人在一次抽奖中只中一次，人数不足时按实际人数抽取
+        const count = Math.min(requested, new Set(pool.map(participantOf)).size);
+        const { prize } = evaluation;
+        if (prize) {
+            const reserved = await Prize.findOneAndUpdate(
+                { _id: prize._id, $expr: { $lte: [{ $add: ['$awarded', count] }, '$quantity'] } },
+                { $inc: { awarded: count } }
+            );
+            if (!reserved) {
+                const current = await Prize.findById(prize._id);
+                const left = current ? Math.max(current.quantity - current.awarded, 0) : 0;
+                return res.status(409).json({ message: `奖品库存不足，仅剩 ${left} 个` });
+            }
+            reservation = { prizeId: prize._id, count };
+        }
+
+        const seed = createSeed();
+        const digest = poolDigest(pool);
+        record = new LotteryRecord({
+            sessionName: session.name,
+            sessionCode: session.code,
+            date,
+            pool,
+            poolSize: pool.length,
+            poolDigest: digest,
+            rules: evaluation.rules,
+            seed,
+            mode,
+            count,
+            prize: prize ? { prizeId: prize._id, name: prize.name, tier: prize.tier, image: prize.image } : undefined
+        });
+        if (mode === 'commit') {
+            record.status = 'committed';
+            record.commitment = commitmentOf(seed, digest);
+            await record.save();
+        } else {
+            await revealDraw(session, record);
+        }
+        res.status(201).json(publicLotteryRecord(record));
+    } catch (e) {
+        if (reservation && (!record || record.isNew)) {
+            await Prize.updateOne({ _id: reservation.prizeId }, { $inc: { awarded: -reservation.count } })
+                .catch(err => console.error('退回奖品库存失败', err.message));
+        }
+        res.status(500).json({ message: '抽奖失败' });
+    }
 });
 
+app.post('/api/sessions/:code/draws/:id/reveal', presenterAuth(sessionOfParam), async (req, res) => {
+    try {
+        const record = await LotteryRecord.findOne({ _id: req.params.id, sessionCode: req.sessionDoc.code }).select('+pool');
+        if (!record) return res.status(404).json({ message: '抽奖记录不存在' });
+        if (record.status !== 'committed' || !await revealDraw(req.sessionDoc, record)) {
+            return res.status(409).json({ message: '该抽奖已经揭晓或已取消' });
+        }
+        res.json(publicLotteryRecord(record));
+    } catch (e) { res.status(500).json({ message: '揭晓失败' }); }
+});
+
+// 取消尚未揭晓的抽奖：删除记录（种子从未公开，取消不会泄露结果），并退回公布承诺时预留的奖品库存。返回是否确实删除
+async function discardCommittedDraw(record) {
+    const { deletedCount } = await LotteryRecord.deleteOne({ _id: record._id, status: 'committed' });
+    if (deletedCount === 0) return false;
+    if (record.prize) await Prize.updateOne({ _id: record.prize.prizeId }, { $inc: { awarded: -record.count } });
+    return true;
+}
+
+app.post('/api/sessions/:code/draws/:id/cancel', presenterAuth(sessionOfParam), async (req, res) => {
+    try {
+        const record = await LotteryRecord.findOne({ _id: req.params.id, sessionCode: req.sessionDoc.code });
+        if (!record) return res.status(404).json({ message: '抽奖记录不存在' });
+        if (record.status !== 'committed' || !await discardCommittedDraw(record)) {
+            return res.status(409).json({ message: '该抽奖已经揭晓，无法取消' });
+        }
+        res.json({ message: '已取消' });
+    } catch (e) { res.status(500).json({ message: '取消失败' }); }
+});
+
+// 公布承诺后长时间未揭晓（如关闭了抽奖页）的抽奖视为放弃，定时清理，不会一直显示为待揭晓
+const DRAW_COMMIT_TTL_MS = (Number(process.env.DRAW_COMMIT_TTL_MINUTES) || 30) * 60 * 1000;
+async function expireCommittedDraws() {
+    const stale = await LotteryRecord.find({ status: 'committed', createdAt: { $lt: new Date(Date.now() - DRAW_COMMIT_TTL_MS) } });
+    for (const record of stale) await discardCommittedDraw(record);
+}
+
 app.get('/api/lottery-records', async (req, res) => {
     try {
         const records = await LotteryRecord.find().sort({ createdAt: -1 });
-        res.json(records);
+        res.json(records.map(publicLotteryRecord));
     } catch (e) { res.status(500).json({ message: '获取记录失败' }); }
 });
 
+// 单条记录及奖池快照，供校验页复算
+app.get('/api/lottery-records/:id', async (req, res) => {
+    try {
+        const record = await LotteryRecord.findById(req.params.id).select('+pool');
+        if (!record) return res.status(404).json({ message: '抽奖记录不存在' });
+        res.json(publicLotteryRecordDetail(record));
+    } catch (e) { res.status(500).json({ message: '获取记录失败' }); }
+});
+
+// F. 投票 API
+app.get('/api/sessions/:code/polls', async (req, res) => {
+    try {
+        const session = await Session.findOne({ code: req.params.code });
+        if (!session) return res.status(404).json({ message: '场次不存在' });
+        const polls = await Poll.find({ sessionId: session._id }).sort({ createdAt: 1 });
+        res.json(polls);
+    } catch (e) { res.status(500).json({ message: '获取投票失败' }); }
+});
+
+app.post('/api/sessions/:code/polls', presenterAuth(sessionOfParam), async (req, res) => {
+    const { question, type } = req.body;
+    const options = (Array.isArray(req.body.options) ? req.body.options : [])
+        .map(text => String(text).trim()).filter(Boolean);
+    if (!question || !question.trim()) return res.status(400).json({ message: '投票题目不能为空' });
+    if (options.length < 2) return res.status(400).json({ message: '至少需要两个选项' });
+    try {
+        const poll = new Poll({
+            sessionId: req.sessionDoc._id,
+            question: question.trim(),
+            type: type === 'multiple' ? 'multiple' : 'single',
+            options: options.map(text => ({ text }))
+        });
+        await poll.save();
+        broadcastToRoom(req.sessionDoc.code, { type: 'poll_opened', payload: poll });
+        res.status(201).json(poll);
+    } catch (e) { res.status(500).json({ message: '创建投票失败' }); }
+});
+
+app.post('/api/polls/:id/vote', requireParticipant, async (req, res) => {
+    const voterId = req.participantId;
+    const choices = [...new Set(Array.isArray(req.body.choices) ? req.body.choices : [])];
+    try {
+        const poll = await Poll.findById(req.params.id);
+        if (!poll) return res.status(404).json({ message: '投票不存在' });
+        const session = await Session.findById(poll.sessionId);
+        if (session.status !== 'open') {
+            return res.status(403).json({ message: SESSION_STATUS_MESSAGES[session.status], status: session.status });
+        }
+        if (poll.status !== 'open') return res.status(409).json({ message: '投票已结束' });
+        const valid = choices.length > 0
+            && choices.every(i => Number.isInteger(i) && i >= 0 && i < poll.options.length)
+            && (poll.type === 'multiple' || choices.length === 1);
+        if (!valid) return res.status(400).json({ message: '选项无效' });
+
+        const inc = { voterCount: 1 };
+        choices.forEach(i => { inc[`options.${i}.votes`] = 1; });
+        const updated = await Poll.findOneAndUpdate(
+            { _id: poll._id, status: 'open', voters: { $ne: voterId } },
+            { $inc: inc, $push: { voters: voterId } },
+            { new: true }
+        );
+        if (!updated) return res.status(409).json({ message: '你已经投过票了' });
+
+        broadcastToRoom(session.code, {
+            type: 'poll_updated',
+            payload: { pollId: req.params.id, options: updated.options, voterCount: updated.voterCount }
+        });
+        res.json(updated);
+    } catch (e) { res.status(500).json({ message: '投票失败' }); }
+});
+
+app.post('/api/polls/:id/close', presenterAuth(sessionOfPoll), async (req, res) => {
+    try {
+        const poll = await Poll.findByIdAndUpdate(req.params.id, { status: 'closed' }, { new: true });
+        broadcastToRoom(req.sessionDoc.code, { type: 'poll_closed', payload: { pollId: req.params.id } });
+        res.json(poll);
+    } catch (e) { res.status(500).json({ message: '结束投票失败' }); }
+});
+
+// 按时间段导出投票结果（附带场次名称）
+app.get('/api/polls', adminAuth, async (req, res) => {
+    const { start, end } = req.query;
+    try {
+        const query = { createdAt: { $gte: new Date(start), $lte: new Date(end) } };
+        const polls = await Poll.find(query).populate('sessionId', 'name code').sort({ createdAt: 1 });
+        res.status(200).json(polls);
+    } catch (error) { res.status(500).json({ message: '服务器错误' }); }
+});
+
+// G. 词云 API
+const MAX_CLOUD_WORDS = 3;
+const MAX_CLOUD_WORD_LENGTH = 20;
+const CJK = '\\u3400-\\u9fff\\uf900-\\ufaff';
+
+// 归一化单个词：全角转半角、统一小写、去掉首尾标点，并去掉中文字符之间多余的空格
+// 使"人工 智能"、"人工智能。"、"ＡＩ"与"ai"分别归为同一个词
+function normalizeWord(raw) {
+    return String(raw)
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(new RegExp(`([${CJK}]) (?=[${CJK}])`, 'g'), '$1')
+        .replace(/^[\s\p{P}\p{S}]+|[\s\p{P}\p{S}]+$/gu, '')
+        .slice(0, MAX_CLOUD_WORD_LENGTH);
+}
+
+// 参与者可能在一个输入框里用逗号、顿号等分隔多个词，这里统一拆开并去重
+function splitWords(input) {
+    const parts = (Array.isArray(input) ? input : [input])
+        .flatMap(item => String(item || '').split(/[,，、;；\/|\n]+/))
+        .map(normalizeWord)
+        .filter(Boolean);
+    return [...new Set(parts)].slice(0, MAX_CLOUD_WORDS);
+}
+
+app.get('/api/sessions/:code/word-clouds', async (req, res) => {
+    try {
+        const session = await Session.findOne({ code: req.params.code });
+        if (!session) return res.status(404).json({ message: '场次不存在' });
+        const clouds = await WordCloud.find({ sessionId: session._id }).sort({ createdAt: 1 });
+        res.json(clouds);
+    } catch (e) { res.status(500).json({ message: '获取词云失败' }); }
+});
+
+app.post('/api/sessions/:code/word-clouds', presenterAuth(sessionOfParam), async (req, res) => {
+    const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.trim() : '';
+    if (!prompt) return res.status(400).json({ message: '词云题目不能为空' });
+    try {
+        const cloud = new WordCloud({ sessionId: req.sessionDoc._id, prompt });
+        await cloud.save();
+        broadcastToRoom(req.sessionDoc.code, { type: 'word_cloud_opened', payload: cloud });
+        res.status(201).json(cloud);
+    } catch (e) { res.status(500).json({ message: '创建词云失败' }); }
+});
+
+app.post('/api/word-clouds/:id/submit', requireParticipant, async (req, res) => {
+    const voterId = req.participantId;
+    const words = splitWords(req.body.words);
+    if (words.length === 0) return res.status(400).json({ message: '请至少填写一个词' });
+    try {
+        const target = await WordCloud.findById(req.params.id).select('sessionId status');
+        if (!target) return res.status(404).json({ message: '词云不存在' });
+        const session = await Session.findById(target.sessionId);
+        if (session.status !== 'open') {
+            return res.status(403).json({ message: SESSION_STATUS_MESSAGES[session.status], status: session.status });
+        }
+        const cloud = await WordCloud.findOneAndUpdate(
+            { _id: req.params.id, status: 'open', voters: { $ne: voterId } },
+            { $inc: { responseCount: 1 }, $push: { voters: voterId } }
+        );
+        if (!cloud) {
+            const existing = await WordCloud.findById(req.params.id).select('status');
+            if (!existing || existing.status !== 'open') return res.status(409).json({ message: '词云已结束' });
+            return res.status(409).json({ message: '你已经提交过了' });
+        }
+
+        // 先尝试给已有词计数，没有时再以 $ne 条件追加，避免并发提交产生重复词条
+        for (const word of words) {
+            const inc = await WordCloud.updateOne({ _id: cloud._id, 'words.text': word }, { $inc: { 'words.$.count': 1 } });
+            if (inc.matchedCount) continue;
+            const pushed = await WordCloud.updateOne(
+                { _id: cloud._id, 'words.text': { $ne: word } },
+                { $push: { words: { text: word, count: 1 } } }
+            );
+            if (!pushed.matchedCount) {
+                await WordCloud.updateOne({ _id: cloud._id, 'words.text': word }, { $inc: { 'words.$.count': 1 } });
+            }
+        }
+
+        const updated = await WordCloud.findById(cloud._id);
+        broadcastToRoom(session.code, {
+            type: 'word_cloud_updated',
+            payload: { cloudId: req.params.id, words: updated.words, responseCount: updated.responseCount }
+        });
+        res.json({ words });
+    } catch (e) { res.status(500).json({ message: '提交失败' }); }
+});
+
+app.post('/api/word-clouds/:id/close', presenterAuth(sessionOfWordCloud), async (req, res) => {
+    try {
+        const cloud = await WordCloud.findByIdAndUpdate(req.params.id, { status: 'closed' }, { new: true });
+        broadcastToRoom(req.sessionDoc.code, { type: 'word_cloud_closed', payload: { cloudId: req.params.id } });
+        res.json(cloud);
+    } catch (e) { res.status(500).json({ message: '结束词云失败' }); }
+});
+
+// 重新打开历史词云，继续在原有结果上收集
+app.post('/api/word-clouds/:id/reopen', presenterAuth(sessionOfWordCloud), async (req, res) => {
+    try {
+        const cloud = await WordCloud.findByIdAndUpdate(req.params.id, { status: 'open' }, { new: true });
+        broadcastToRoom(req.sessionDoc.code, { type: 'word_cloud_opened', payload: cloud });
+        res.json(cloud);
+    } catch (e) { res.status(500).json({ message: '重新打开词云失败' }); }
+});
+
+// H. 敏感词管理 API
+app.get('/api/filter-rules', adminAuth, async (req, res) => {
+    try {
+        const rules = await FilterRule.find().sort({ sessionCode: 1, createdAt: -1 });
+        res.json(rules);
+    } catch (e) { res.status(500).json({ message: '获取词表失败' }); }
+});
+
+app.post('/api/filter-rules', adminAuth, async (req, res) => {
+    const term = typeof req.body.term === 'string' ? req.body.term.trim() : '';
+    const sessionCode = typeof req.body.sessionCode === 'string' && req.body.sessionCode.trim() || null;
+    if (!term) return res.status(400).json({ message: '词条不能为空' });
+    if (!FILTER_ACTIONS.includes(req.body.action)) return res.status(400).json({ message: '处理方式无效' });
+    try {
+        if (sessionCode && !(await Session.exists({ code: sessionCode }))) {
+            return res.status(404).json({ message: '场次不存在' });
+        }
+        const rule = await FilterRule.create({ term, action: req.body.action, sessionCode });
+        res.status(201).json(rule);
+    } catch (e) { res.status(500).json({ message: '添加词条失败' }); }
+});
+
+app.delete('/api/filter-rules/:id', adminAuth, async (req, res) => {
+    try {
+        await FilterRule.findByIdAndDelete(req.params.id);
+        res.json({ message: '已删除' });
+    } catch (e) { res.status(500).json({ message: '删除词条失败' }); }
+});
+
+app.get('/api/filter-logs', adminAuth, async (req, res) => {
+    try {
+        const logs = await FilterLog.find().sort({ createdAt: -1 }).limit(Number(req.query.limit) || 200);
+        res.json(logs);
+    } catch (e) { res.status(500).json({ message: '获取过滤日志失败' }); }
+});
+
+// I. 奖品 API
+// 校验奖品字段；partial 为 true 时（修改）只校验提供了的字段。不合法时返回 { error }
+function parsePrize(body, partial) {
+    const fields = {};
+    if (!partial || body.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) return { error: '奖品名称不能为空' };
+        fields.name = name;
+    }
+    for (const [key, label] of [['tier', '奖品等级'], ['quantity', '奖品数量']]) {
+        if (body[key] === undefined) continue;
+        const value = Number(body[key]);
+        if (!Number.isInteger(value) || value < 1) return { error: `${label}应为正整数` };
+        fields[key] = value;
+    }
+    if (body.image !== undefined) {
+        const image = typeof body.image === 'string' ? body.image.trim() : '';
+        if (image && !/^(https?:\/\/|\/)/.test(image)) return { error: '图片地址应以 http(s):// 或 / 开头' };
+        fields.image = image;
+    }
+    return { fields };
+}
+
+app.get('/api/sessions/:code/prizes', async (req, res) => {
+    try {
+        const session = await Session.findOne({ code: req.params.code });
+        if (!session) return res.status(404).json({ message: '场次不存在' });
+        const prizes = await Prize.find({ sessionId: session._id }).sort({ tier: 1, createdAt: 1 });
+        res.json(prizes.map(publicPrize));
+    } catch (e) { res.status(500).json({ message: '获取奖品失败' }); }
+});
+
+app.post('/api/sessions/:code/prizes', presenterAuth(sessionOfParam), async (req, res) => {
+    const { fields, error } = parsePrize(req.body, false);
+    if (error) return res.status(400).json({ message: error });
+    try {
+        const prize = await Prize.create({ ...fields, sessionId: req.sessionDoc._id });
+        res.status(201).json(publicPrize(prize));
+    } catch (e) { res.status(500).json({ message: '添加奖品失败' }); }
+});
+
+app.patch('/api/prizes/:id', presenterAuth(sessionOfPrize), async (req, res) => {
+    const { fields, error } = parsePrize(req.body, true);
+    if (error) return res.status(400).json({ message: error });
+    try {
+        const prize = await Prize.findById(req.params.id);
+        if (fields.quantity !== undefined && fields.quantity < prize.awarded) {
+            return res.status(400).json({ message: `数量不能少于已抽出的 ${prize.awarded} 个` });
+        }
+        Object.assign(prize, fields);
+        await prize.save();
+        res.json(publicPrize(prize));
+    } catch (e) { res.status(500).json({ message: '修改奖品失败' }); }
+});
+
+// 删除奖品不影响已有的中奖记录，记录中保存了奖品快照
+app.delete('/api/prizes/:id', presenterAuth(sessionOfPrize), async (req, res) => {
+    try {
+        await Prize.findByIdAndDelete(req.params.id);
+        res.json({ message: '已删除' });
+    } catch (e) { res.status(500).json({ message: '删除奖品失败' }); }
+});
+
 // --- WebSocket 房间逻辑 (Rooms & Real-time) ---
+// 协议（v1）：服务端发出的消息都带 v；房间广播另带按房间递增的 seq。
+// 客户端 join 时可附带 resume: { epoch, seq }，服务端先回复 joined，再补发错过的消息；
+// joined.resumed 为 false 表示无法补发，客户端需重新拉取完整数据。
+// join 时还需声明角色 role（见 ROLES，缺省为参与者）。主持人与审核角色需附带主持人令牌 token
+// 或使用管理员账号，否则按参与者处理；joined.role 为实际生效的角色。
+const PROTOCOL_VERSION = 1;
+const ROLES = ['presenter', 'participant', 'display', 'moderator']; // 展示页、提问页、聚光灯投屏、审核页
+const PRIVILEGED_ROLES = ['presenter', 'moderator'];
+const HEARTBEAT_INTERVAL_MS = Number(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30 * 1000;
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
-const rooms = new Map();
+const rooms = new Map(); // 本实例上的连接
+const roomLog = new RoomLog({
+    capacity: Number(process.env.WS_REPLAY_BUFFER) || 500,
+    idleMs: (Number(process.env.WS_REPLAY_IDLE_SECONDS) || 300) * 1000
+});
+
+// 多实例部署时经广播通道同步房间消息和在线人数；序号由每个实例在投递时分配，
+// 重连到另一个实例时 epoch 不同，客户端会重新拉取完整数据
+const INSTANCE_ID = nanoid(8);
+const backplane = createBackplane(process.env.BACKPLANE, { connection: mongoose.connection });
+console.log(`房间广播通道: ${backplane.name}`);
+const roomCounts = new RoomCounts({ staleMs: HEARTBEAT_INTERVAL_MS * 2.5 });
+
+backplane.subscribe((message) => {
+    if (message.kind === 'event') {
+        sendToRoom(message.room, roomLog.append(message.room, message.data));
+        if (!rooms.has(message.room)) roomLog.idle(message.room); // 本实例上没有连接的房间也只保留一段时间
+    } else if (message.kind === 'count') {
+        // 定时刷新只在总人数变化时通知，进出房间则总是通知
+        const changed = roomCounts.set(message.instanceId, message.room, message.counts);
+        if (changed || !message.refresh) {
+            const counts = roomCounts.total(message.room);
+            sendToRoom(message.room, { type: 'client_count_update', count: counts.participant || 0, counts });
+        }
+    }
+});
+
+function publish(message) {
+    backplane.publish(message).catch(err => console.error('发布房间消息失败', err.message));
+}
 
-wss.on('connection', (ws) => {
-    ws.on('message', async (message) => {
+function sendJson(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...data }));
+}
+
+// 连接的实际角色：特权角色校验主持人令牌或管理员账号（握手请求中的 Basic Auth）
+async function resolveRole(data, upgradeReq) {
+    const role = ROLES.includes(data.role) ? data.role : 'participant';
+    if (!PRIVILEGED_ROLES.includes(role) || isAdminRequest(upgradeReq)) return role;
+    if (typeof data.token === 'string' && data.token) {
+        try {
+            const session = await Session.findOne({ code: String(data.room) }).select('+presenterToken');
+            if (session && !session.$isDefault('presenterToken') && basicAuth.safeCompare(data.token, session.presenterToken)) {
+                return role;
+            }
+        } catch (e) { console.error('校验主持人令牌失败', e.message); }
+    }
+    return 'participant';
+}
+
+// 按受众投递一条房间消息；audience 只在服务端使用，不发给客户端
+function deliver(ws, event) {
+    const { audience, ...data } = event;
+    if (audience && !audience.includes(ws.role)) return;
+    sendJson(ws, data);
+}
+
+// 流式识别会启动 ffmpeg 进程并反复调用识别服务，只对已加入房间的参与者开放，并限制同时进行的数量
+const voiceStreamCounts = new Map(); // 'ip:地址' / 'pid:参与者' -> 进行中的数量
+let activeVoiceStreams = 0;
+
+function voiceStreamRejection(ws) {
+    if (!ws.roomCode || ws.role !== 'participant' || !ws.participantId) return '请在提问页加入场次后再使用语音输入';
+    if (activeVoiceStreams >= VOICE_LIMITS.maxStreams) return '语音识别繁忙，请稍后再试';
+    if (voiceStreamCounts.has(`pid:${ws.participantId}`)) return '上一段语音还在识别中';
+    if ((voiceStreamCounts.get(`ip:${ws.ip}`) || 0) >= VOICE_LIMITS.maxStreamsPerIp) return '当前网络的语音识别过多，请稍后再试';
+    return null;
+}
+
+function startVoiceStream(ws) {
+    const keys = [`pid:${ws.participantId}`, `ip:${ws.ip}`];
+    const adjust = (delta) => {
+        activeVoiceStreams += delta;
+        keys.forEach(key => {
+            const count = (voiceStreamCounts.get(key) || 0) + delta;
+            if (count > 0) voiceStreamCounts.set(key, count);
+            else voiceStreamCounts.delete(key);
+        });
+    };
+    adjust(1);
+    return new VoiceStream({
+        provider: speechProvider,
+        send: (msg) => sendJson(ws, msg),
+        partialIntervalSeconds: VOICE_LIMITS.partialIntervalSeconds,
+        onDone: () => adjust(-1)
+    });
+}
+
+function leaveRoom(ws) {
+    const room = ws.roomCode && rooms.get(ws.roomCode);
+    if (room) {
+        room.delete(ws);
+        broadcastCount(ws.roomCode);
+        if (room.size === 0) {
+            rooms.delete(ws.roomCode);
+            roomLog.idle(ws.roomCode);
+        }
+    }
+    ws.roomCode = null;
+}
+
+wss.on('connection', (ws, upgradeReq) => {
+    ws.isAlive = true;
+    // 握手请求中的参与者 Cookie 与客户端地址（与 HTTP 接口相同的代理规则），用于限制流式识别
+    parseCookies(upgradeReq, null, () => {});
+    ws.participantId = upgradeReq.signedCookies[PARTICIPANT_COOKIE] || null;
+    ws.ip = proxyaddr(upgradeReq, app.get('trust proxy fn'));
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    ws.on('message', async (message, isBinary) => {
+        // 二进制消息是流式语音的音频分片
+        if (isBinary) {
+            if (ws.voiceStream) ws.voiceStream.write(message);
+            return;
+        }
         try {
             const data = JSON.parse(message);
-            if (data.type === 'join' && data.room) {
-                const roomCode = data.room;
+            if (data.type === 'voice_start') {
+                if (ws.voiceStream) ws.voiceStream.abort();
+                ws.voiceStream = null;
+                const rejection = voiceStreamRejection(ws);
+                if (rejection) return sendJson(ws, { type: 'voice_error', message: rejection });
+                ws.voiceStream = startVoiceStream(ws);
+            } else if (data.type === 'voice_end') {
+                if (ws.voiceStream) ws.voiceStream.end();
+                ws.voiceStream = null;
+            } else if (data.type === 'join' && data.room) {
+                const roomCode = String(data.room);
+                const role = await resolveRole(data, upgradeReq);
+                if (ws.roomCode !== roomCode || ws.role !== role) leaveRoom(ws);
                 ws.roomCode = roomCode;
+                ws.role = role;
 
                 if (!rooms.has(roomCode)) rooms.set(roomCode, new Set());
                 rooms.get(roomCode).add(ws);
+                roomLog.active(roomCode);
 
-                // 更新历史总连接数并广播当前在线人数
-                await Session.findOneAndUpdate({ code: roomCode }, { $inc: { totalConnections: 1 } });
+                // 加入与补发之间没有 await，不会与新的广播交错
+                const missed = data.resume ? roomLog.since(roomCode, data.resume) : null;
+                sendJson(ws, {
+                    type: 'joined',
+                    epoch: roomLog.epochOf(roomCode),
+                    seq: missed ? data.resume.seq : roomLog.current(roomCode),
+                    resumed: !!missed,
+                    role
+                });
+                if (missed) missed.forEach(event => deliver(ws, event));
                 broadcastCount(roomCode);
+
+                // 历史总连接数只统计参与者，断线重连不重复计入
+                if (role === 'participant' && !data.resume) {
+                    await Session.findOneAndUpdate({ code: roomCode }, { $inc: { totalConnections: 1 } });
+                }
             }
         } catch (e) { console.error("WS 消息解析失败", e); }
     });
 
     ws.on('close', () => {
-        if (ws.roomCode && rooms.has(ws.roomCode)) {
-            rooms.get(ws.roomCode).delete(ws);
-            broadcastCount(ws.roomCode);
-        }
+        if (ws.voiceStream) ws.voiceStream.abort();
+        leaveRoom(ws);
     });
 });
 
-function broadcastCount(roomCode) {
-    if (rooms.has(roomCode)) {
-        const count = rooms.get(roomCode).size;
-        broadcastToRoom(roomCode, { type: 'client_count_update', count: count });
+// 心跳：每个周期 ping 一次，上个周期没有回应 pong 的连接视为已断开并终止，
+// 避免 rooms 中残留僵尸连接、在线人数虚高
+// 同时重新发布本实例各房间的人数，使其他实例知道本实例仍然在线
+const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+        if (!ws.isAlive) return ws.terminate();
+        ws.isAlive = false;
+        ws.ping();
+    });
+    rooms.forEach((clients, roomCode) => broadcastCount(roomCode, { refresh: true }));
+}, HEARTBEAT_INTERVAL_MS);
+wss.on('close', () => clearInterval(heartbeat));
+
+// 发布本实例在该房间各角色的连接数，各实例汇总后推送：count 为参与者人数，counts 为各角色人数。
+// 在线人数是瞬时状态，不编号也不补发
+function broadcastCount(roomCode, { refresh = false } = {}) {
+    const counts = Object.fromEntries(ROLES.map(role => [role, 0]));
+    if (rooms.has(roomCode)) rooms.get(roomCode).forEach(ws => { counts[ws.role] += 1; });
+    publish({ kind: 'count', instanceId: INSTANCE_ID, room: roomCode, counts, refresh });
+}
+
+function broadcastSessionStatus(session) {
+    broadcastToRoom(session.code, {
+        type: 'session_status_changed',
+        payload: { status: session.status, opensAt: session.opensAt, closesAt: session.closesAt }
+    });
+}
+
+// 执行到期的定时开放 / 结束，执行后清除对应的定时字段
+async function applySessionSchedules() {
+    const now = new Date();
+    const toOpen = await Session.find({ opensAt: { $lte: now } });
+    for (const session of toOpen) {
+        session.opensAt = undefined;
+        const reopen = ['paused', 'closed'].includes(session.status);
+        if (reopen) session.status = 'open';
+        await session.save();
+        if (reopen) broadcastSessionStatus(session);
+    }
+    const toClose = await Session.find({ closesAt: { $lte: now } });
+    for (const session of toClose) {
+        session.closesAt = undefined;
+        const close = ['open', 'paused'].includes(session.status);
+        if (close) session.status = 'closed';
+        await session.save();
+        if (close) broadcastSessionStatus(session);
     }
 }
 
-function broadcastToRoom(roomCode, data) {
+// 只广播待审核数量，不泄露问题内容；审核页据此刷新队列
+async function broadcastPendingCount(session) {
+    const count = await Question.countDocuments({ sessionId: session._id, status: 'pending' });
+    broadcastToRoom(session.code, { type: 'pending_count_update', count: count }, { audience: PRIVILEGED_ROLES });
+}
+
+// 房间广播：经广播通道发给所有实例，各实例收到后编号、记录（供断线重连补发）并投递。
+// audience 限定接收的角色，缺省为房间内所有连接。
+// 先序列化一次，保证各通道传递的内容一致（ObjectId、Date 等转为字符串）
+function broadcastToRoom(roomCode, data, { audience } = {}) {
+    publish({ kind: 'event', room: roomCode, data: JSON.parse(JSON.stringify({ ...data, audience })) });
+}
+
+// 只投递给本实例上的连接
+function sendToRoom(roomCode, data) {
     if (rooms.has(roomCode)) {
-        rooms.get(roomCode).forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify(data));
-            }
-        });
+        rooms.get(roomCode).forEach(client => deliver(client, data));
     }
 }
 
 // --- 启动服务器 ---
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`服务器正在端口 ${PORT} 上运行`);
-});
\ No newline at end of file
+function start() {
+    mongoose.connect(MONGO_URI)
+        .then(() => console.log('成功连接到 MongoDB Atlas'))
+        .catch(err => console.error('连接 MongoDB 失败:', err));
+
+    server.listen(PORT, () => {
+        console.log(`服务器正在端口 ${PORT} 上运行`);
+    });
+
+    // 每 30 秒检查一次场次的定时开放 / 结束，并清理过期未揭晓的抽奖
+    setInterval(() => {
+        if (mongoose.connection.readyState !== 1) return;
+        applySessionSchedules().catch(err => console.error('执行场次定时任务失败', err));
+        expireCommittedDraws().catch(err => console.error('清理过期抽奖失败', err));
+    }, 30 * 1000);
+}
+
+// 直接运行时启动；测试中引用本文件只取得 app 与 server，不连接数据库
+if (require.main === module) start();
+
+module.exports = { app, server, wss };
\ No newline at end of file
@@ -0,0 +1,145 @@
+// 抽奖揭晓与取消：中奖问题的标记、承诺取消或抽奖失败后的库存退回。数据库查询用 mock 替换
+process.env.COOKIE_SECRET = 'test-secret';
+process.env.SPEECH_PROVIDER = 'mock';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'test-password';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { server, wss } = require('../server');
+const { query } = require('./helpers');
+
+const Session = mongoose.model('Session');
+const Question = mongoose.model('Question');
+const LotteryRecord = mongoose.model('LotteryRecord');
+const Prize = mongoose.model('Prize');
+
+const session = new Session({ name: '分享会', code: 'abc123' });
+const adminHeaders = { Authorization: `Basic ${Buffer.from('admin:test-password').toString('base64')}` };
+
+function committedRecord() {
+    const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    return new LotteryRecord({
+        sessionCode: session.code,
+        pool: ids.map((id, i) => ({ questionId: id, participantKey: `key${i}`, name: `参与者${i}`, text: `问题${i}` })),
+        seed: 'seed',
+        count: 2,
+        status: 'committed',
+        mode: 'commit',
+        prize: { prizeId: new mongoose.Types.ObjectId(), name: '耳机', tier: 1 }
+    });
+}
+
+let baseUrl;
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+test.after(() => {
+    wss.close();
+    server.close();
+});
+
+test('揭晓后按中奖问题的 ID 标记中奖', async (t) => {
+    const record = committedRecord();
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(LotteryRecord, 'findOne', () => query(record));
+    t.mock.method(LotteryRecord, 'updateOne', async () => ({ matchedCount: 1 }));
+    const updateMany = t.mock.method(Question, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const response = await fetch(`${baseUrl}/api/sessions/abc123/draws/${record._id}/reveal`, { method: 'POST', headers: adminHeaders });
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.winners.length, 2);
+
+    const [filter] = updateMany.mock.calls[0].arguments;
+    const marked = filter._id.$in.map(String);
+    assert.deepEqual(marked, body.winners.map(w => String(w.questionId)));
+    const poolIds = record.pool.map(entry => String(entry.questionId));
+    marked.forEach(id => assert.ok(poolIds.includes(id), id));
+});
+
+test('取消未揭晓的抽奖时退回预留的奖品库存', async (t) => {
+    const record = committedRecord();
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(LotteryRecord, 'findOne', () => query(record));
+    t.mock.method(LotteryRecord, 'deleteOne', async () => ({ deletedCount: 1 }));
+    const updateOne = t.mock.method(Prize, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const response = await fetch(`${baseUrl}/api/sessions/abc123/draws/${record._id}/cancel`, { method: 'POST', headers: adminHeaders });
+    assert.equal(response.status, 200);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(String(filter._id), String(record.prize.prizeId));
+    assert.deepEqual(update, { $inc: { awarded: -2 } });
+});
+
+test('已揭晓的抽奖不能取消', async (t) => {
+    const record = committedRecord();
+    record.status = 'revealed';
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(LotteryRecord, 'findOne', () => query(record));
+    const updateOne = t.mock.method(Prize, 'updateOne', async () => ({}));
+
+    const response = await fetch(`${baseUrl}/api/sessions/abc123/draws/${record._id}/cancel`, { method: 'POST', headers: adminHeaders });
+    assert.equal(response.status, 409);
+    assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('揭晓时记录已被取消或过期清理则返回 409', async (t) => {
+    const record = committedRecord();
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(LotteryRecord, 'findOne', () => query(record));
+    const updateOne = t.mock.method(LotteryRecord, 'updateOne', async () => ({ matchedCount: 0 }));
+    const updateMany = t.mock.method(Question, 'updateMany', async () => ({}));
+
+    const response = await fetch(`${baseUrl}/api/sessions/abc123/draws/${record._id}/reveal`, { method: 'POST', headers: adminHeaders });
+    assert.equal(response.status, 409);
+    const [filter] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter.status, 'committed');
+    assert.equal(updateMany.mock.callCount(), 0);
+});
+
+// 指定奖品抽奖：奖池中有两位参与者，库存按抽取人数预留
+function mockPrizeDraw(t, { reserved }) {
+    const prize = new Prize({ sessionId: session._id, name: '耳机', quantity: 3, awarded: 0 });
+    const questions = ['alice', 'bob'].map(key => new Question({ text: `${key} 的问题`, participantKey: key, sessionId: session._id }));
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(Prize, 'findOne', () => query(prize));
+    t.mock.method(Question, 'find', () => query(questions));
+    t.mock.method(LotteryRecord, 'find', () => query([]));
+    t.mock.method(Prize, 'findOneAndUpdate', () => query(reserved ? prize : null));
+    return {
+        prize,
+        draw: () => fetch(`${baseUrl}/api/sessions/abc123/draws`, {
+            method: 'POST',
+            headers: { ...adminHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ date: '2026/5/1', prizeId: String(prize._id), count: 2 })
+        })
+    };
+}
+
+test('抽奖记录保存失败时退回预留的奖品库存', async (t) => {
+    const { draw, prize } = mockPrizeDraw(t, { reserved: true });
+    t.mock.method(LotteryRecord.prototype, 'save', async () => { throw new Error('写入失败'); });
+    const updateOne = t.mock.method(Prize, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const response = await draw();
+    assert.equal(response.status, 500);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(String(filter._id), String(prize._id));
+    assert.deepEqual(update, { $inc: { awarded: -2 } });
+});
+
+test('库存不足时按最新库存提示剩余数量', async (t) => {
+    const { draw, prize } = mockPrizeDraw(t, { reserved: false });
+    t.mock.method(Prize, 'findById', () => query(new Prize({ _id: prize._id, sessionId: session._id, name: '耳机', quantity: 3, awarded: 2 })));
+    const updateOne = t.mock.method(Prize, 'updateOne', async () => ({}));
+
+    const response = await draw();
+    assert.equal(response.status, 409);
+    assert.equal((await response.json()).message, '奖品库存不足，仅剩 1 个');
+    assert.equal(updateOne.mock.callCount(), 0);
+});
@@ -0,0 +1,132 @@
+// 抽奖资格规则：每条规则的排除原因、奖券数与加权权重
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRules, evaluateEligibility } = require('../lib/eligibility');
+
+let nextId = 0;
+function question(participantKey, text, extra = {}) {
+    nextId += 1;
+    return {
+        _id: `q${String(nextId).padStart(3, '0')}`,
+        participantKey,
+        name: participantKey,
+        text,
+        createdAt: new Date('2026-05-01T10:00:00Z'),
+        votes: 0,
+        ...extra
+    };
+}
+
+function rulesOf(input) {
+    const { rules, error } = parseRules(input);
+    assert.equal(error, undefined);
+    return rules;
+}
+
+// 未入选问题的 { 文本: 原因 }
+const reasons = (result) => Object.fromEntries(result.excluded.map(entry => [entry.text, entry.reason]));
+
+test('parseRules 补全默认值并拒绝不合法的取值', () => {
+    const rules = rulesOf(undefined);
+    assert.equal(rules.similarityThreshold, 0.25);
+    assert.equal(rules.maxWeight, 5);
+    assert.match(parseRules({ similarityThreshold: 2 }).error, /相似度阈值/);
+    assert.match(parseRules({ minLength: -1 }).error, /最短字数/);
+    assert.match(parseRules({ maxWeight: 0 }).error, /权重上限/);
+    assert.match(parseRules({ maxWeight: 101 }).error, /权重上限/);
+    assert.match(parseRules({ since: 'not a date' }).error, /时间格式/);
+});
+
+test('同一人的相似问题按阈值排除，不同人的相同问题不受影响', () => {
+    const questions = [
+        question('alice', '下午几点开始'),
+        question('alice', '下午几点开始？'), // 差异 1/7
+        question('bob', '下午几点开始')
+    ];
+    const strict = evaluateEligibility(questions, rulesOf({}));
+    assert.deepEqual(strict.excluded.map(entry => [entry.questionId, entry.reason]), [[questions[1]._id, '与本人的其他问题相似']]);
+    assert.equal(strict.tickets.length, 2);
+
+    const loose = evaluateEligibility(questions, rulesOf({ similarityThreshold: 0.1 }));
+    assert.deepEqual(loose.excluded, []);
+    assert.equal(loose.tickets.length, 3);
+});
+
+test('问题为空或不足最短字数时排除', () => {
+    const result = evaluateEligibility([
+        question('alice', '   '),
+        question('bob', '好'),
+        question('carol', '今天讲的内容')
+    ], rulesOf({ minLength: 5 }));
+    assert.deepEqual(reasons(result), { '   ': '问题为空', '好': '不足 5 个字' });
+    assert.deepEqual(result.tickets.map(ticket => ticket.participantKey), ['carol']);
+});
+
+test('只在开启时排除本场中过奖的参与者', () => {
+    const questions = [question('alice', '第一个问题'), question('bob', '第二个问题')];
+    const winners = [{ participantKey: 'bob', name: 'bob' }];
+
+    assert.deepEqual(evaluateEligibility(questions, rulesOf({}), { winners }).excluded, []);
+    const result = evaluateEligibility(questions, rulesOf({ excludePreviousWinners: true }), { winners });
+    assert.deepEqual(reasons(result), { '第二个问题': '本场已中过奖' });
+});
+
+test('总是排除已获得同级或更高奖品的参与者', () => {
+    const questions = [question('alice', '第一个问题'), question('bob', '第二个问题')];
+    const result = evaluateEligibility(questions, rulesOf({ excludePreviousWinners: true }), {
+        winners: [{ participantKey: 'bob' }],
+        tierWinners: [{ participantKey: 'bob' }]
+    });
+    assert.deepEqual(reasons(result), { '第二个问题': '已获得同级或更高奖品' });
+    assert.deepEqual(evaluateEligibility(questions, rulesOf({}), { tierWinners: [{ participantKey: 'alice' }] }).tickets
+        .map(ticket => ticket.participantKey), ['bob']);
+});
+
+test('排除时间范围之外的问题', () => {
+    const result = evaluateEligibility([
+        question('alice', '太早的问题', { createdAt: new Date('2026-05-01T08:59:59Z') }),
+        question('bob', '范围内的问题', { createdAt: new Date('2026-05-01T09:30:00Z') }),
+        question('carol', '太晚的问题', { createdAt: new Date('2026-05-01T10:00:01Z') })
+    ], rulesOf({ since: '2026-05-01T09:00:00Z', until: '2026-05-01T10:00:00Z' }));
+    assert.deepEqual(reasons(result), { '太早的问题': '不在时间范围内', '太晚的问题': '不在时间范围内' });
+});
+
+test('按昵称排除，忽略首尾空格', () => {
+    const result = evaluateEligibility([
+        question('host', '主持人的问题', { name: ' 主持人 ' }),
+        question('alice', '观众的问题')
+    ], rulesOf({ excludedNames: ['主持人 ', ''] }));
+    assert.deepEqual(reasons(result), { '主持人的问题': '昵称在排除名单中' });
+});
+
+test('每人一张奖券时排除同一人的其他问题', () => {
+    const questions = [question('alice', '第一个问题'), question('alice', '完全不同的另一件事'), question('bob', '第三个问题')];
+
+    const perQuestion = evaluateEligibility(questions, rulesOf({}));
+    assert.deepEqual(perQuestion.participants.map(p => [p.key, p.tickets]), [['alice', 2], ['bob', 1]]);
+
+    const perPerson = evaluateEligibility(questions, rulesOf({ ticketMode: 'participant' }));
+    assert.deepEqual(reasons(perPerson), { '完全不同的另一件事': '每人只有一张奖券' });
+    assert.deepEqual(perPerson.participants.map(p => [p.key, p.tickets]), [['alice', 1], ['bob', 1]]);
+});
+
+test('加权时每人一张奖券，权重为不重复问题数、问题获赞数与投票数之和，不超过上限', () => {
+    const questions = [
+        question('alice', '第一个问题', { votes: 3 }),
+        question('alice', '第一个问题？', { votes: 9 }), // 与第一个相似，不计入参与度
+        question('alice', '完全不同的另一件事', { votes: 1 }),
+        question('bob', '第三个问题')
+    ];
+    const pollVotes = new Map([['alice', 2]]);
+
+    const capped = evaluateEligibility(questions, rulesOf({ weighting: 'engagement' }), { pollVotes });
+    assert.deepEqual(capped.participants, [
+        { key: 'alice', name: 'alice', tickets: 1, weight: 5, engagement: { questions: 2, votes: 4, polls: 2 } },
+        { key: 'bob', name: 'bob', tickets: 1, weight: 1, engagement: { questions: 1, votes: 0, polls: 0 } }
+    ]);
+    assert.deepEqual(reasons(capped), { '第一个问题？': '与本人的其他问题相似', '完全不同的另一件事': '每人只有一张奖券' });
+    assert.deepEqual(capped.tickets.map(ticket => [ticket.participantKey, ticket.weight]), [['alice', 5], ['bob', 1]]);
+
+    const uncapped = evaluateEligibility(questions, rulesOf({ weighting: 'engagement', maxWeight: 10 }), { pollVotes });
+    assert.equal(uncapped.participants[0].weight, 8);
+});
@@ -0,0 +1,22 @@
+// 测试共用：模拟 mongoose 查询与等待异步条件
+
+// 模拟 mongoose 查询：支持链式调用，await 时得到 result
+function query(result) {
+    const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('等待超时');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = { query, waitFor };
@@ -0,0 +1,102 @@
+// 抽奖算法：固定种子与奖池得到固定结果，校验页 public/verify.html 中的浏览器实现与服务端一致
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { drawIndex, drawWinners, poolDigest, commitmentOf } = require('../lib/lottery');
+
+const FLAT_POOL = [
+    { questionId: 'q1', participantKey: 'alice' },
+    { questionId: 'q2', participantKey: 'bob' },
+    { questionId: 'q3', participantKey: 'alice' },
+    { questionId: 'q4', participantKey: 'carol' },
+    { questionId: 'q5', participantKey: 'dave' },
+    { questionId: 'q6', participantKey: 'bob' }
+];
+const WEIGHTED_POOL = [
+    { questionId: 'q1', participantKey: 'alice', weight: 4 },
+    { questionId: 'q2', participantKey: 'bob', weight: 1 },
+    { questionId: 'q4', participantKey: 'carol', weight: 2 },
+    { questionId: 'q5', name: '老王', weight: 3 } // 旧数据没有 participantKey 时按名字分组
+];
+
+// 服务端与浏览器共用的测试向量：摘要与承诺值可用 sha256sum 独立核对，
+// winners 为每轮中奖的问题 ID 及其在当轮剩余奖池中的位置
+const VECTORS = [
+    {
+        pool: FLAT_POOL,
+        seed: 'seed-1',
+        digest: '9dc4319c64f301f1edbf54bde0dbf72cfbd8d7b95cd13e014846891be3954773',
+        commitment: 'ed13caa86185b1d94d8cda7c2165c602fe308f35b16b123c27ebac1455ff9291',
+        winners: [['q4', 3], ['q5', 3], ['q6', 3]]
+    },
+    {
+        pool: FLAT_POOL,
+        seed: '3f9a',
+        digest: '9dc4319c64f301f1edbf54bde0dbf72cfbd8d7b95cd13e014846891be3954773',
+        commitment: '8de0a63c5cc316103436c179ead38ac746c1294cac0773e05dccbc2ab7fad664',
+        winners: [['q2', 1], ['q3', 1], ['q4', 0]]
+    },
+    {
+        pool: WEIGHTED_POOL,
+        seed: 'seed-1',
+        digest: 'bd19936a5065077586da87168deaf6bcec86780341ae6f072ab85c525945ac56',
+        commitment: 'd94d6d932b8d3da518b619558a397956a0663e2974bc44ce8769d1f0b64b2fdf',
+        winners: [['q5', 3], ['q1', 0], ['q2', 0]]
+    },
+    {
+        pool: WEIGHTED_POOL,
+        seed: '3f9a',
+        digest: 'bd19936a5065077586da87168deaf6bcec86780341ae6f072ab85c525945ac56',
+        commitment: 'c814f2954bba7ad55c379e4bc6e4d56c01f72cbc59f91a34f2f7e3cbaed00397',
+        winners: [['q1', 0], ['q4', 1], ['q5', 1]]
+    }
+];
+
+const summarize = (winners) => winners.map(winner => [winner.questionId, winner.winnerIndex]);
+
+// 取出校验页脚本中的算法部分（sha256Bytes 到 addFact 之前），在 Node 的 Web Crypto 下运行
+function loadBrowserLottery() {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'verify.html'), 'utf8');
+    const start = html.indexOf('async function sha256Bytes');
+    const end = html.indexOf('function addFact');
+    assert.ok(start >= 0 && end > start, '未找到校验页中的抽奖算法');
+    return new Function(`${html.slice(start, end)}; return { sha256Hex, poolDigest, drawWinners };`)();
+}
+
+test('drawIndex 取 sha256("种子:序号") 前 6 字节对奖池大小取模', () => {
+    // sha256("seed-1:0") 前 6 字节为 0x274c499d6909
+    assert.equal(drawIndex('seed-1', 1000), 0x274c499d6909 % 1000);
+    assert.equal(drawIndex('seed-1', 7), 0x274c499d6909 % 7);
+});
+
+test('奖池摘要与顺序无关，权重变化会改变摘要', () => {
+    assert.equal(poolDigest([...FLAT_POOL].reverse()), poolDigest(FLAT_POOL));
+    const reweighted = WEIGHTED_POOL.map((entry, i) => (i === 0 ? { ...entry, weight: 5 } : entry));
+    assert.notEqual(poolDigest(reweighted), poolDigest(WEIGHTED_POOL));
+});
+
+test('服务端算法符合测试向量', () => {
+    for (const vector of VECTORS) {
+        assert.equal(poolDigest(vector.pool), vector.digest);
+        assert.equal(commitmentOf(vector.seed, vector.digest), vector.commitment);
+        assert.deepEqual(summarize(drawWinners(vector.seed, vector.pool, 3)), vector.winners);
+    }
+});
+
+test('第 1 轮与单人抽奖结果相同，同一参与者只中一次', () => {
+    const [first] = drawWinners('seed-1', FLAT_POOL, 1);
+    assert.deepEqual(summarize([first]), [VECTORS[0].winners[0]]);
+
+    const owners = drawWinners('seed-1', FLAT_POOL, 10).map(winner => winner.participantKey);
+    assert.deepEqual([...owners].sort(), ['alice', 'bob', 'carol', 'dave']);
+});
+
+test('校验页的浏览器实现符合同一组测试向量', async () => {
+    const browser = loadBrowserLottery();
+    for (const vector of VECTORS) {
+        assert.equal(await browser.poolDigest(vector.pool), vector.digest);
+        assert.equal(await browser.sha256Hex(`${vector.seed}:${vector.digest}`), vector.commitment);
+        assert.deepEqual(summarize(await browser.drawWinners(vector.seed, vector.pool, 3)), vector.winners);
+    }
+});
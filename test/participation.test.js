@@ -0,0 +1,116 @@
+// 参与者互动接口（投票、词云、编辑问题）与提问共用同一套场次状态与内容检查
+process.env.COOKIE_SECRET = 'test-secret';
+process.env.SPEECH_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { server, wss } = require('../server');
+const { query } = require('./helpers');
+
+const Session = mongoose.model('Session');
+const Poll = mongoose.model('Poll');
+const WordCloud = mongoose.model('WordCloud');
+const Question = mongoose.model('Question');
+const FilterRule = mongoose.model('FilterRule');
+const FilterLog = mongoose.model('FilterLog');
+
+const closedSession = new Session({ name: '分享会', code: 'abc123', status: 'closed' });
+const poll = new Poll({
+    sessionId: closedSession._id,
+    question: '午饭吃什么',
+    type: 'single',
+    options: [{ text: '面' }, { text: '饭' }]
+});
+const cloud = new WordCloud({ sessionId: closedSession._id, prompt: '一个词形容今天' });
+
+let baseUrl;
+let cookie;
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // 参与者身份只在打开提问页时签发
+    const page = await fetch(`${baseUrl}/session/abc123/ask`);
+    cookie = page.headers.get('set-cookie').split(';')[0];
+});
+test.after(() => {
+    wss.close();
+    server.close();
+});
+
+function send(method, path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: JSON.stringify(body)
+    });
+}
+const post = (path, body) => send('POST', path, body);
+
+test('场次关闭后不能再投票', async (t) => {
+    t.mock.method(Poll, 'findById', () => query(poll));
+    t.mock.method(Session, 'findById', () => query(closedSession));
+    const update = t.mock.method(Poll, 'findOneAndUpdate', () => query(null));
+
+    const response = await post(`/api/polls/${poll._id}/vote`, { choices: [0] });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).status, 'closed');
+    assert.equal(update.mock.callCount(), 0);
+});
+
+test('场次关闭后不能再提交词云', async (t) => {
+    t.mock.method(WordCloud, 'findById', () => query(cloud));
+    t.mock.method(Session, 'findById', () => query(closedSession));
+    const update = t.mock.method(WordCloud, 'findOneAndUpdate', () => query(null));
+
+    const response = await post(`/api/word-clouds/${cloud._id}/submit`, { words: '开心' });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).status, 'closed');
+    assert.equal(update.mock.callCount(), 0);
+});
+
+// 修改自己的问题：与提问相同的限流、查重与敏感词检查
+function mockEdit(t, { code, others = [], rules = [] }) {
+    const session = new Session({ name: '分享会', code });
+    const own = new Question({ text: '原来的问题', sessionId: session._id, participantId: 'p1', status: 'approved' });
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(Question, 'findOne', () => query(own));
+    t.mock.method(Question, 'find', () => query(others));
+    t.mock.method(FilterRule, 'find', () => query(rules));
+    t.mock.method(FilterLog, 'create', async () => ({}));
+    t.mock.method(Question, 'countDocuments', () => query(1));
+    const save = t.mock.method(Question.prototype, 'save', async function () { return this; });
+    return { own, save, edit: (text) => send('PATCH', `/api/sessions/${code}/my-questions/${own._id}`, { text }) };
+}
+
+test('修改后的问题与本人其他问题相似时拒绝', async (t) => {
+    const other = new Question({ text: '下午的分享会几点开始' });
+    const { edit, save } = mockEdit(t, { code: 'edit01', others: [other] });
+
+    const response = await edit('下午的分享会几点开始？');
+    assert.equal(response.status, 409);
+    assert.equal(save.mock.callCount(), 0);
+});
+
+test('修改后的问题命中拒绝词时不保存，命中审核词时转入待审核', async (t) => {
+    const rules = [new FilterRule({ term: '广告', action: 'reject' }), new FilterRule({ term: '内幕', action: 'hold' })];
+    const { edit, save, own } = mockEdit(t, { code: 'edit02', rules });
+
+    assert.equal((await edit('这里有广告')).status, 400);
+    assert.equal(save.mock.callCount(), 0);
+
+    const held = await edit('想听听内幕');
+    assert.equal(held.status, 200);
+    assert.equal(own.status, 'pending');
+    assert.equal(save.mock.callCount(), 1);
+});
+
+test('频繁修改问题时返回 429', async (t) => {
+    const { edit } = mockEdit(t, { code: 'edit03' });
+
+    for (const text of ['第一次修改', '换个说法', '再改一次']) {
+        assert.equal((await edit(text)).status, 200);
+    }
+    const limited = await edit('还想再改');
+    assert.equal(limited.status, 429);
+});
@@ -0,0 +1,106 @@
+// 公开接口与房间广播中不得出现私有字段。数据库查询用 mock 替换，不需要连接 MongoDB
+process.env.COOKIE_SECRET = 'test-secret';
+process.env.SPEECH_PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const { server, wss } = require('../server');
+const { query, waitFor } = require('./helpers');
+
+const Session = mongoose.model('Session');
+const Question = mongoose.model('Question');
+const FilterRule = mongoose.model('FilterRule');
+
+const PRIVATE_FIELDS = ['ipAddress', 'participantId', 'voters', 'presenterToken', 'totalConnections'];
+
+// 递归查找对象中出现的私有字段
+function privateFieldsIn(value, found = []) {
+    if (Array.isArray(value)) value.forEach(item => privateFieldsIn(item, found));
+    else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+            if (PRIVATE_FIELDS.includes(key)) found.push(key);
+            privateFieldsIn(item, found);
+        });
+    }
+    return found;
+}
+
+const session = new Session({ name: '分享会', code: 'abc123', totalConnections: 42 });
+const storedQuestion = new Question({
+    text: '已有的问题',
+    name: '小明',
+    sessionId: session._id,
+    ipAddress: '10.0.0.1',
+    participantId: 'secret-participant-id',
+    participantKey: 'key1',
+    voters: ['secret-voter-id'],
+    votes: 1
+});
+
+let baseUrl;
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+test.after(() => {
+    wss.clients.forEach(client => client.terminate());
+    wss.close();
+    server.close();
+});
+
+test('GET /api/sessions/:code 不包含私有字段', async (t) => {
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(Question, 'find', () => query([storedQuestion]));
+
+    const response = await fetch(`http://${baseUrl}/api/sessions/abc123`);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.questions[0].text, '已有的问题');
+    assert.deepEqual(privateFieldsIn(body), []);
+});
+
+test('new_question 广播不包含私有字段', async (t) => {
+    t.mock.method(Session, 'findOne', () => query(session));
+    t.mock.method(Question, 'find', () => query([]));
+    t.mock.method(FilterRule, 'find', () => query([]));
+    t.mock.method(Question.prototype, 'save', async function () { return this; });
+
+    // 参与者身份只在打开提问页时签发
+    const page = await fetch(`http://${baseUrl}/session/abc123/ask`);
+    const cookie = page.headers.get('set-cookie').split(';')[0];
+
+    const ws = new WebSocket(`ws://${baseUrl}`);
+    t.after(() => ws.terminate());
+    const messages = [];
+    ws.on('message', data => messages.push(JSON.parse(data)));
+    await new Promise(resolve => ws.on('open', resolve));
+    ws.send(JSON.stringify({ type: 'join', room: 'abc123', role: 'display' }));
+    await waitFor(() => messages.some(m => m.type === 'joined'));
+
+    const response = await fetch(`http://${baseUrl}/api/ask/abc123`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: JSON.stringify({ question: '新的问题', name: '小红' })
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(privateFieldsIn(await response.json()), []);
+
+    await waitFor(() => messages.some(m => m.type === 'new_question'));
+    const broadcast = messages.find(m => m.type === 'new_question');
+    assert.equal(broadcast.payload.text, '新的问题');
+    assert.ok(broadcast.payload.participantKey);
+    assert.deepEqual(privateFieldsIn(broadcast), []);
+});
+
+test('参与者接口不接受缺少 Cookie 的请求', async () => {
+    const response = await fetch(`http://${baseUrl}/api/ask/abc123`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ question: '新的问题' })
+    });
+    assert.equal(response.status, 401);
+});
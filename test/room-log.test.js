@@ -0,0 +1,44 @@
+// 房间消息记录：补发与空闲房间的清理
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RoomLog = require('../lib/room-log');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('补发记录中错过的消息', () => {
+    const log = new RoomLog({ capacity: 3 });
+    const position = { epoch: log.epochOf('r1'), seq: log.current('r1') };
+    ['a', 'b'].forEach(type => log.append('r1', { type }));
+
+    assert.deepEqual(log.since('r1', position).map(event => event.type), ['a', 'b']);
+    assert.equal(log.since('r1', { ...position, epoch: 'other' }), null);
+
+    ['c', 'd'].forEach(type => log.append('r1', { type }));
+    assert.equal(log.since('r1', position), null); // 已超出保留范围
+});
+
+test('房间空闲超过保留时长后删除记录，旧序号不能用于补发', async () => {
+    const log = new RoomLog({ idleMs: 20 });
+    log.append('r1', { type: 'a' });
+    const position = { epoch: log.epochOf('r1'), seq: log.current('r1') };
+
+    log.idle('r1');
+    await sleep(50);
+    assert.equal(log.rooms.has('r1'), false);
+
+    // 重新建立的记录从 1 开始编号，旧的位置即使序号对得上也不会被补发
+    log.append('r1', { type: 'b' });
+    log.append('r1', { type: 'c' });
+    assert.equal(log.since('r1', position), null);
+});
+
+test('保留期内有连接重新加入时不删除记录', async () => {
+    const log = new RoomLog({ idleMs: 20 });
+    log.append('r1', { type: 'a' });
+    const position = { epoch: log.epochOf('r1'), seq: 0 };
+
+    log.idle('r1');
+    log.active('r1');
+    await sleep(50);
+    assert.deepEqual(log.since('r1', position).map(event => event.type), ['a']);
+});
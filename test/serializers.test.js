@@ -0,0 +1,76 @@
+// 公开格式只包含白名单字段：参与者 ID、IP、点赞者列表、主持人令牌等不得出现在公开输出中
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    publicSession,
+    adminSession,
+    publicQuestion,
+    adminQuestion,
+    publicLotteryRecord,
+    publicLotteryRecordDetail
+} = require('../lib/serializers');
+
+const question = {
+    _id: 'q1',
+    text: '问题',
+    name: '小明',
+    sessionId: 's1',
+    participantKey: 'key1',
+    participantId: 'secret-participant-id',
+    ipAddress: '10.0.0.1',
+    voters: ['secret-voter-id'],
+    status: 'approved',
+    votes: 2,
+    createdAt: new Date(),
+    replies: [{ _id: 'r1', role: 'participant', name: '小红', text: '追问', participantKey: 'key2', ipAddress: '10.0.0.2' }]
+};
+
+const session = {
+    _id: 's1',
+    name: '分享会',
+    code: 'abc123',
+    status: 'open',
+    moderated: false,
+    presenterToken: 'secret-token',
+    totalConnections: 42,
+    createdAt: new Date()
+};
+
+test('publicQuestion 不包含 IP、参与者 ID 和点赞者', () => {
+    const view = publicQuestion(question);
+    assert.equal(view.text, '问题');
+    assert.equal(view.participantKey, 'key1');
+    for (const field of ['ipAddress', 'participantId', 'voters']) assert.ok(!(field in view), field);
+    assert.ok(!('ipAddress' in view.replies[0]));
+});
+
+test('adminQuestion 只额外包含 IP', () => {
+    const view = adminQuestion(question);
+    assert.equal(view.ipAddress, '10.0.0.1');
+    assert.ok(!('participantId' in view));
+    assert.ok(!('voters' in view));
+});
+
+test('publicSession 不包含主持人令牌和参与人次', () => {
+    const view = publicSession(session);
+    assert.equal(view.code, 'abc123');
+    assert.ok(!('presenterToken' in view));
+    assert.ok(!('totalConnections' in view));
+    assert.equal(adminSession(session).presenterToken, 'secret-token');
+});
+
+test('publicLotteryRecord 在揭晓前隐藏种子', () => {
+    const record = {
+        _id: 'l1',
+        sessionCode: 'abc123',
+        poolDigest: 'digest',
+        commitment: 'commitment',
+        seed: 'secret-seed',
+        status: 'committed',
+        pool: [{ questionId: 'q1', name: '小明', text: '问题', participantKey: 'key1', participantId: 'secret-participant-id' }]
+    };
+    assert.ok(!('seed' in publicLotteryRecord(record)));
+    assert.ok(!('seed' in publicLotteryRecordDetail(record)));
+    assert.ok(!('participantId' in publicLotteryRecordDetail(record).pool[0]));
+    assert.equal(publicLotteryRecord({ ...record, status: 'revealed' }).seed, 'secret-seed');
+});
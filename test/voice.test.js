@@ -0,0 +1,55 @@
+// 整段语音上传的身份与频率限制，以及本地识别临时文件的位置
+process.env.COOKIE_SECRET = 'test-secret';
+process.env.SPEECH_PROVIDER = 'mock';
+process.env.VOICE_UPLOADS_PER_PARTICIPANT = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { server, wss } = require('../server');
+const TempJanitor = require('../lib/temp-janitor');
+const createLocalProvider = require('../lib/speech/local');
+
+let baseUrl;
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+test.after(() => {
+    wss.close();
+    server.close();
+});
+
+test('语音上传需要参与者身份', async () => {
+    const response = await fetch(`${baseUrl}/api/voice-to-text`, { method: 'POST' });
+    assert.equal(response.status, 401);
+});
+
+test('同一参与者上传过于频繁时返回 429', async () => {
+    const page = await fetch(`${baseUrl}/session/abc123/ask`);
+    const cookie = page.headers.get('set-cookie').split(';')[0];
+    const upload = () => fetch(`${baseUrl}/api/voice-to-text`, { method: 'POST', headers: { Cookie: cookie } });
+
+    assert.equal((await upload()).status, 400); // 未附带音频文件
+    assert.equal((await upload()).status, 400);
+    const limited = await upload();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('本地识别的临时 WAV 文件放在 janitor 目录并在识别后删除', async () => {
+    const janitor = new TempJanitor({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'voice-test-')) });
+    // 用 ls 代替识别程序：标准输出就是传入的文件路径
+    const provider = createLocalProvider({ SPEECH_LOCAL_COMMAND: 'ls', SPEECH_LOCAL_ARGS: '{file}' }, { janitor });
+
+    const wavPath = await provider.recognize(Buffer.alloc(3200));
+    assert.equal(path.dirname(wavPath), janitor.dir);
+    assert.ok(wavPath.endsWith('.wav'));
+    assert.equal(fs.existsSync(wavPath), false);
+    assert.equal(janitor.active.size, 0);
+    fs.rmSync(janitor.dir, { recursive: true, force: true });
+});